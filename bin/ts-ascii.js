@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+/**
+ * ts-ascii command-line interface
+ * Converts image files (or stdin) and text banners to ASCII art
+ *
+ * Exit codes:
+ *   0 - success
+ *   1 - conversion failed (unreadable file, unsupported image, write error)
+ *   2 - invalid usage or configuration (unknown flag, bad value, rejected config)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  AsciiGenerator,
+  CharsetPreset,
+  decodeImage,
+  renderAnsi,
+  renderSvg
+} = require('../dist/index.js');
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const FORMATS = ['text', 'html', 'svg', 'ansi'];
+
+/** Output format implied by an output file extension */
+const EXTENSION_FORMATS = {
+  '.txt': 'text',
+  '.html': 'html',
+  '.htm': 'html',
+  '.svg': 'svg',
+  '.ans': 'ansi'
+};
+
+const USAGE = `Usage:
+  ts-ascii [options] [image]        Convert a PNG, JPEG, GIF, BMP or PBM/PGM/PPM file
+  ts-ascii text [options] <text>    Render text as an ASCII banner
+
+Reads the image from stdin when no file (or "-") is given.
+
+Options:
+  -c, --charset <name|chars>   Preset (standard, block, minimal, extended) or custom characters
+  -w, --width <n>              Output width in characters
+  -H, --height <n>             Output height in characters
+  -a, --aspect-ratio <n>       Character aspect ratio correction (default 0.55)
+  -m, --mode <mode>            Render mode (ascii, braille, halfblock, edges, shape)
+  -i, --inverted               Invert brightness
+  -C, --colored                Include colors
+  -f, --format <format>        Output format: text, html, svg or ansi
+  -o, --output <file>          Write to a file (format inferred from .txt/.html/.svg/.ans)
+      --font <family>          Font family for the text subcommand
+      --font-size <px>         Font size for the text subcommand
+      --font-weight <weight>   Font weight for the text subcommand
+  -v, --version                Print the version
+      --help                   Show this help
+
+Colored output to a terminal uses ANSI escape sequences.`;
+
+/**
+ * Error for invalid command-line usage (exit code 2)
+ */
+class UsageError extends Error {}
+
+/** Option definitions: flag -> [key, kind] */
+const OPTIONS = {
+  '-c': ['charset', 'string'],
+  '--charset': ['charset', 'string'],
+  '-w': ['width', 'integer'],
+  '--width': ['width', 'integer'],
+  '-H': ['height', 'integer'],
+  '--height': ['height', 'integer'],
+  '-a': ['aspectRatio', 'number'],
+  '--aspect-ratio': ['aspectRatio', 'number'],
+  '-m': ['mode', 'string'],
+  '--mode': ['mode', 'string'],
+  '-i': ['inverted', 'flag'],
+  '--inverted': ['inverted', 'flag'],
+  '-C': ['colored', 'flag'],
+  '--colored': ['colored', 'flag'],
+  '-f': ['format', 'string'],
+  '--format': ['format', 'string'],
+  '-o': ['output', 'string'],
+  '--output': ['output', 'string'],
+  '--font': ['font', 'string'],
+  '--font-size': ['fontSize', 'number'],
+  '--font-weight': ['fontWeight', 'string'],
+  '-v': ['version', 'flag'],
+  '--version': ['version', 'flag'],
+  '--help': ['help', 'flag']
+};
+
+/**
+ * Parses argv into options and positional arguments
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{ options: Record<string, unknown>, positionals: string[] }}
+ * @throws {UsageError} For unknown flags or invalid values
+ */
+function parseArgs(argv) {
+  const options = {};
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    let inlineValue;
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (arg === '-' || !arg.startsWith('-')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const equals = arg.indexOf('=');
+    if (arg.startsWith('--') && equals !== -1) {
+      inlineValue = arg.slice(equals + 1);
+      arg = arg.slice(0, equals);
+    }
+
+    const definition = OPTIONS[arg];
+    if (!definition) {
+      throw new UsageError(`Unknown option: ${arg}`);
+    }
+    const [key, kind] = definition;
+
+    if (kind === 'flag') {
+      if (inlineValue !== undefined) {
+        throw new UsageError(`Option ${arg} does not take a value`);
+      }
+      options[key] = true;
+      continue;
+    }
+
+    const value = inlineValue ?? argv[++i];
+    if (value === undefined) {
+      throw new UsageError(`Option ${arg} requires a value`);
+    }
+
+    if (kind === 'string') {
+      options[key] = value;
+    } else {
+      const number = Number(value);
+      if (value.trim() === '' || !Number.isFinite(number) || (kind === 'integer' && !Number.isInteger(number))) {
+        throw new UsageError(`Invalid value for ${arg}: ${value}`);
+      }
+      options[key] = number;
+    }
+  }
+
+  return { options, positionals };
+}
+
+/**
+ * Maps a --charset value to a preset (case-insensitive) or a custom string
+ */
+function resolveCharsetOption(value) {
+  const preset = value.toUpperCase();
+  if (preset !== CharsetPreset.CUSTOM && Object.values(CharsetPreset).includes(preset)) {
+    return preset;
+  }
+  return value;
+}
+
+/**
+ * Builds the AsciiConfig subset given on the command line
+ */
+function buildConfig(options) {
+  const config = {};
+  for (const key of ['width', 'height', 'aspectRatio', 'mode', 'inverted', 'colored']) {
+    if (options[key] !== undefined) config[key] = options[key];
+  }
+  if (options.charset !== undefined) config.charset = resolveCharsetOption(options.charset);
+  return config;
+}
+
+/**
+ * Picks the output format from --format, the output extension or the terminal
+ */
+function resolveFormat(options, colored) {
+  if (options.format !== undefined) {
+    if (!FORMATS.includes(options.format)) {
+      throw new UsageError(`Invalid format: ${options.format}. Must be one of: ${FORMATS.join(', ')}`);
+    }
+    return options.format;
+  }
+  if (options.output !== undefined) {
+    return EXTENSION_FORMATS[path.extname(options.output).toLowerCase()] ?? 'text';
+  }
+  return colored && process.stdout.isTTY ? 'ansi' : 'text';
+}
+
+/**
+ * Serializes a conversion result in the requested format
+ */
+function formatOutput(result, format) {
+  switch (format) {
+    case 'html':
+      return '<!DOCTYPE html>\n<html>\n<head><meta charset="utf-8"><title>ASCII art</title></head>\n' +
+        `<body style="margin:0">\n${result.html}\n</body>\n</html>\n`;
+    case 'svg':
+      return renderSvg(result) + '\n';
+    case 'ansi':
+      return renderAnsi(result) + '\n';
+    default:
+      return result.text + '\n';
+  }
+}
+
+/**
+ * Creates a textRenderer backed by the optional `canvas` package
+ *
+ * @returns {Function | null} Renderer, or null if the package is not installed
+ */
+function createCanvasTextRenderer() {
+  let createCanvas;
+  try {
+    ({ createCanvas } = require('canvas'));
+  } catch {
+    return null;
+  }
+
+  return (text, { font, fontSize, fontWeight, color, backgroundColor, padding }) => {
+    const fontString = `${fontWeight} ${fontSize}px "${font}"`;
+    const measure = createCanvas(1, 1).getContext('2d');
+    measure.font = fontString;
+    const width = Math.ceil(measure.measureText(text).width + padding * 2);
+    const height = Math.ceil(fontSize * 1.5 + padding * 2);
+
+    const ctx = createCanvas(width, height).getContext('2d');
+    ctx.fillStyle = backgroundColor;
+    ctx.fillRect(0, 0, width, height);
+    ctx.font = fontString;
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = color;
+    ctx.fillText(text, padding, padding);
+    return ctx.getImageData(0, 0, width, height);
+  };
+}
+
+/**
+ * Creates the generator, reporting rejected configuration as a usage error
+ */
+function createGenerator(config) {
+  try {
+    return new AsciiGenerator(config);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+/**
+ * Runs the CLI
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {number} Exit code
+ */
+function main(argv) {
+  const isText = argv[0] === 'text';
+  const { options, positionals } = parseArgs(isText ? argv.slice(1) : argv);
+
+  if (options.help) {
+    process.stdout.write(USAGE + '\n');
+    return EXIT_OK;
+  }
+  if (options.version) {
+    process.stdout.write(require('../package.json').version + '\n');
+    return EXIT_OK;
+  }
+
+  const config = buildConfig(options);
+  const format = resolveFormat(options, Boolean(config.colored));
+  let result;
+
+  if (isText) {
+    if (positionals.length === 0) {
+      throw new UsageError('The text subcommand requires the text to render');
+    }
+
+    const textRenderer = createCanvasTextRenderer();
+    if (!textRenderer) {
+      throw new Error('Text conversion in Node.js needs the optional "canvas" package (npm install canvas)');
+    }
+
+    const generator = createGenerator({ ...config, textRenderer });
+    const textOptions = {};
+    if (options.font !== undefined) textOptions.font = options.font;
+    if (options.fontSize !== undefined) textOptions.fontSize = options.fontSize;
+    if (options.fontWeight !== undefined) textOptions.fontWeight = options.fontWeight;
+
+    try {
+      result = generator.convertText(positionals.join(' '), textOptions);
+    } catch (error) {
+      // convertText validates its options before rendering
+      throw new UsageError(error.message);
+    }
+  } else {
+    if (positionals.length > 1) {
+      throw new UsageError(`Expected one image file, got ${positionals.length}`);
+    }
+    const input = positionals[0] ?? '-';
+    if (input === '-' && process.stdin.isTTY) {
+      throw new UsageError('No image given (pass a file path or pipe image data to stdin)');
+    }
+
+    const generator = createGenerator(config);
+    let bytes;
+    try {
+      bytes = fs.readFileSync(input === '-' ? 0 : input);
+    } catch (error) {
+      throw new Error(`Cannot read ${input === '-' ? 'stdin' : input}: ${error.message}`);
+    }
+    result = generator.convertImage(decodeImage(bytes));
+  }
+
+  const output = formatOutput(result, format);
+  if (options.output !== undefined) {
+    fs.writeFileSync(options.output, output);
+  } else {
+    process.stdout.write(output);
+  }
+
+  return EXIT_OK;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  const usage = error instanceof UsageError;
+  process.stderr.write(`ts-ascii: ${error.message}\n`);
+  if (usage) {
+    process.stderr.write('Run "ts-ascii --help" for usage.\n');
+  }
+  process.exitCode = usage ? EXIT_USAGE : EXIT_FAILURE;
+}
@@ -0,0 +1,109 @@
+/**
+ * Conversion of animated images into timed ASCII frame lists
+ * @module core/animation
+ */
+
+import type { AsciiOutput, PixelData } from '../types/interfaces';
+import type { AsciiGenerator } from './ascii-engine';
+import { streamGifFrames } from '../decoders/gif';
+import type { GifDecodeOptions } from '../decoders/gif';
+import type { ImageBytes } from '../decoders/common';
+
+/**
+ * A converted frame with its timing
+ */
+export interface AsciiAnimationFrame {
+  /** Conversion result */
+  output: AsciiOutput;
+
+  /** How long the frame is shown, in milliseconds */
+  delay: number;
+
+  /** When the frame is first shown, in milliseconds from the start of the animation */
+  timestamp: number;
+}
+
+/**
+ * A converted animation
+ */
+export interface AsciiAnimation {
+  /** Frames in playback order */
+  frames: AsciiAnimationFrame[];
+
+  /** Total duration of one loop, in milliseconds */
+  duration: number;
+
+  /** Loop count from the source (0 loops forever, null plays once) */
+  loopCount: number | null;
+}
+
+/**
+ * Converts a list of timed pixel frames to ASCII
+ *
+ * @param generator - Generator used for every frame
+ * @param frames - Decoded frames with delays in milliseconds
+ * @returns Converted frames with their delays and start times
+ * @throws Error if a delay is negative or not finite, or a frame fails to convert
+ */
+export function convertAnimationFrames(
+  generator: AsciiGenerator,
+  frames: Iterable<PixelData & { delay: number }>
+): AsciiAnimationFrame[] {
+  const result: AsciiAnimationFrame[] = [];
+  let timestamp = 0;
+
+  for (const frame of frames) {
+    if (!Number.isFinite(frame.delay) || frame.delay < 0) {
+      throw new Error(`Invalid frame delay: ${frame.delay}`);
+    }
+
+    result.push({ output: generator.convertImage(frame), delay: frame.delay, timestamp });
+    timestamp += frame.delay;
+  }
+
+  return result;
+}
+
+/**
+ * Decodes an animated GIF and converts every frame to ASCII
+ *
+ * Browsers only expose the first frame of a GIF to canvas, so animated GIFs
+ * must be decoded from their bytes (e.g. from fetch() or readFileSync).
+ * Each frame is converted as soon as it is decoded, so only the ASCII
+ * output of earlier frames is kept, not their pixels.
+ *
+ * @param generator - Generator used for every frame
+ * @param input - GIF file contents
+ * @param options - Decoder options
+ * @returns Converted frames, total duration and loop count
+ * @throws Error if the GIF is invalid or a frame fails to convert
+ *
+ * @example
+ * ```typescript
+ * const bytes = await (await fetch('reaction.gif')).arrayBuffer();
+ * const { frames } = convertGif(generator, bytes);
+ *
+ * let index = 0;
+ * const show = () => {
+ *   output.innerHTML = frames[index].output.html;
+ *   setTimeout(show, frames[index].delay);
+ *   index = (index + 1) % frames.length;
+ * };
+ * show();
+ * ```
+ */
+export function convertGif(
+  generator: AsciiGenerator,
+  input: ImageBytes,
+  options: GifDecodeOptions = {}
+): AsciiAnimation {
+  const gif = streamGifFrames(input, options);
+  const frames = convertAnimationFrames(generator, gif);
+  const last = frames[frames.length - 1];
+
+  return {
+    frames,
+    duration: last.timestamp + last.delay,
+    loopCount: gif.loopCount
+  };
+}
@@ -7,21 +7,98 @@
 import type {
   AsciiConfig,
   AsciiOutput,
+  AsyncConvertOptions,
   CharColor,
   ImageSource,
   TextToAsciiOptions,
-  AsciiMetadata
+  AsciiMetadata,
+  CellSample,
+  ColorDistanceMetric,
+  DitherMethod,
+  LuminanceFunction,
+  PixelData,
+  RenderMode
 } from '../types/interfaces';
 import { CHARSET_MAP, CharsetPreset } from '../types/interfaces';
 import {
   extractPixelData,
-  calculateLuminance,
   luminanceToChar,
   calculateDimensions,
   renderTextToCanvas,
-  samplePixelColor,
-  rgbToCSS
+  samplePixelColor
 } from '../utils/canvas-helpers';
+import {
+  sampleBrailleCell,
+  BRAILLE_CELL_WIDTH,
+  BRAILLE_CELL_HEIGHT
+} from '../utils/braille';
+import { sampleHalfBlockCell, HALF_BLOCK_CELL_HEIGHT } from '../utils/half-block';
+import { computeSobel, detectEdges, gradientToEdgeChar } from '../utils/edges';
+import { ditherLuminance } from '../utils/dither';
+import { createLuminanceFunction } from '../utils/luminance';
+import { createPaletteMatcher, quantizeColorGrid, resolvePalette } from '../utils/palette';
+import type { RgbColor } from '../utils/palette';
+import { createHtmlRenderer, validateHtmlOptions } from '../renderers/html';
+import {
+  applyPreprocessing,
+  createPreprocessState,
+  validatePreprocessSteps
+} from '../utils/preprocess';
+import {
+  renderGlyphBitmaps,
+  sampleShapeCell,
+  SHAPE_CELL_WIDTH,
+  SHAPE_CELL_HEIGHT
+} from '../utils/glyphs';
+
+const RENDER_MODES: readonly RenderMode[] = ['ascii', 'braille', 'halfblock', 'edges', 'shape'];
+const DITHER_METHODS: readonly DitherMethod[] = [
+  'none',
+  'floyd-steinberg',
+  'atkinson',
+  'jarvis-judice-ninke',
+  'bayer2',
+  'bayer4',
+  'bayer8'
+];
+const PALETTE_METRICS: readonly ColorDistanceMetric[] = ['oklab', 'ciede2000', 'rgb'];
+
+/** How long convertImageAsync works before yielding to the event loop, in milliseconds */
+const TIME_SLICE_MS = 8;
+
+/**
+ * A conversion that pauses after every grid row it fills or serializes
+ */
+type ConversionSteps = Generator<void, AsciiOutput, void>;
+
+/**
+ * Everything a conversion reads from the generator, captured when it starts
+ */
+interface ConversionSettings {
+  config: Required<AsciiConfig>;
+  charset: string;
+  luminance: LuminanceFunction;
+  palette: RgbColor[] | null;
+  paletteMatcher: ((r: number, g: number, b: number) => number) | null;
+}
+
+/**
+ * Lets pending events, input and rendering run before continuing
+ * A MessageChannel message avoids the minimum delay browsers add to nested timers
+ */
+function yieldToEventLoop(): Promise<void> {
+  if (typeof MessageChannel === 'undefined') {
+    return new Promise(resolve => setTimeout(resolve, 0));
+  }
+  return new Promise(resolve => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = () => {
+      channel.port1.close();
+      resolve();
+    };
+    channel.port2.postMessage(null);
+  });
+}
 
 /**
  * High-performance ASCII art generator
@@ -42,6 +119,10 @@ import {
 export class AsciiGenerator {
   private readonly config: Required<AsciiConfig>;
   private readonly charset: string;
+  private readonly preprocessState = createPreprocessState();
+  private luminance: LuminanceFunction;
+  private palette: RgbColor[] | null = null;
+  private paletteMatcher: ((r: number, g: number, b: number) => number) | null = null;
 
   /**
    * Creates a new ASCII generator instance
@@ -57,11 +138,24 @@ export class AsciiGenerator {
       aspectRatio: config.aspectRatio ?? 0.55,
       width: config.width ?? 0,
       height: config.height ?? 0,
-      optimized: config.optimized ?? true
+      optimized: config.optimized ?? true,
+      mode: config.mode ?? 'ascii',
+      threshold: config.threshold ?? 128,
+      edgeThreshold: config.edgeThreshold ?? 64,
+      glyphFont: config.glyphFont ?? 'monospace',
+      dither: config.dither ?? 'none',
+      preprocess: config.preprocess ?? [],
+      luminance: config.luminance ?? 'rec601',
+      palette: config.palette ?? null,
+      paletteMetric: config.paletteMetric ?? 'oklab',
+      htmlOptions: config.htmlOptions ?? {},
+      textRenderer: config.textRenderer ?? null
     };
 
-    // Resolve charset
+    // Resolve charset, luminance model and palette
     this.charset = this.resolveCharset(this.config.charset);
+    this.luminance = createLuminanceFunction(this.config.luminance);
+    this.resolvePaletteConfig();
 
     // Validate configuration
     this.validateConfig();
@@ -81,67 +175,80 @@ export class AsciiGenerator {
    * ```
    */
   public convertImage(source: ImageSource): AsciiOutput {
-    const startTime = performance.now();
-
-    // Extract pixel data from source
-    const pixelData = extractPixelData(source);
-
-    // Calculate target dimensions with aspect ratio correction
-    const dimensions = calculateDimensions(
-      pixelData.width,
-      pixelData.height,
-      this.config.width || undefined,
-      this.config.height || undefined,
-      this.config.aspectRatio
-    );
+    const steps = this.convertSteps(source);
+    let step = steps.next();
+    while (!step.done) {
+      step = steps.next();
+    }
+    return step.value;
+  }
 
-    // Security check: Validate calculated dimensions against colored limit
-    if (this.config.colored) {
-      const totalChars = dimensions.width * dimensions.height;
-      const MAX_COLORED_CHARS = 1000000;
-      if (totalChars > MAX_COLORED_CHARS) {
-        throw new Error(`Output dimensions (${dimensions.width}x${dimensions.height}) exceed maximum allowed characters for colored output (${MAX_COLORED_CHARS})`);
+  /**
+   * Converts an image source to ASCII art without blocking the event loop
+   *
+   * The character grid is filled and serialized to HTML a few rows at a time,
+   * yielding to the event loop every few milliseconds so the page stays
+   * responsive. Pixel extraction, preprocessing and whole-grid passes (edge
+   * detection, dithering, palette quantization) still run in one piece each.
+   * The source and configuration are read when the call starts, so the source
+   * can be redrawn or closed right away, and later updateConfig() calls do not
+   * affect a conversion in progress.
+   *
+   * @param source - Image, video, canvas, or ImageData to convert
+   * @param options - Abort signal
+   * @returns The same output as convertImage() (processingTime includes the pauses)
+   * @throws The signal's abort reason (as a rejection) if it is aborted, or any error convertImage() throws
+   *
+   * @example
+   * ```typescript
+   * let controller: AbortController | null = null;
+   *
+   * slider.addEventListener('input', async () => {
+   *   controller?.abort(); // cancel the stale conversion
+   *   controller = new AbortController();
+   *   generator.updateConfig({ width: Number(slider.value) });
+   *
+   *   try {
+   *     const ascii = await generator.convertImageAsync(img, { signal: controller.signal });
+   *     output.innerHTML = ascii.html;
+   *   } catch (error) {
+   *     if ((error as Error).name !== 'AbortError') throw error;
+   *   }
+   * });
+   * ```
+   */
+  public async convertImageAsync(
+    source: ImageSource,
+    options: AsyncConvertOptions = {}
+  ): Promise<AsciiOutput> {
+    const { signal } = options;
+    signal?.throwIfAborted();
+
+    const steps = this.convertSteps(source);
+    let sliceStart = performance.now();
+    let step = steps.next();
+
+    while (!step.done) {
+      if (performance.now() - sliceStart >= TIME_SLICE_MS) {
+        await yieldToEventLoop();
+        signal?.throwIfAborted();
+        sliceStart = performance.now();
       }
+      step = steps.next();
     }
 
-    // Resize pixel data to target dimensions for processing
-    const resizedPixelData = extractPixelData(
-      source,
-      dimensions.width,
-      dimensions.height
-    );
-
-    // Generate ASCII representation
-    const result = this.processPixelData(resizedPixelData, dimensions);
-
-    const endTime = performance.now();
-
-    // Build metadata
-    const metadata: AsciiMetadata = {
-      width: dimensions.width,
-      height: dimensions.height,
-      characterCount: dimensions.width * dimensions.height,
-      processingTime: endTime - startTime,
-      charset: this.charset,
-      hasColor: this.config.colored
-    };
-
-    return {
-      text: result.text,
-      html: result.html,
-      characters: result.characters,
-      colors: result.colors,
-      metadata
-    };
+    return step.value;
   }
 
   /**
    * Converts text into ASCII art by rendering it to canvas first
-   * Allows creating ASCII banners from any system font
+   * Allows creating ASCII banners from any system font. Without a DOM
+   * (Node.js), set `textRenderer` in the config to render the text.
    *
    * @param text - Text to convert
    * @param options - Font and rendering options
    * @returns ASCII output of the rendered text
+   * @throws Error if no canvas is available and no textRenderer is configured
    *
    * @example
    * ```typescript
@@ -164,6 +271,19 @@ export class AsciiGenerator {
       padding = 10
     } = options;
 
+    // Use the injected renderer when there is no DOM canvas
+    if (this.config.textRenderer) {
+      return this.convertImage(this.config.textRenderer(text, {
+        font,
+        fontSize,
+        fontWeight,
+        fontStyle,
+        color,
+        backgroundColor,
+        padding
+      }));
+    }
+
     // Render text to canvas
     const imageData = renderTextToCanvas(
       text,
@@ -198,10 +318,11 @@ export class AsciiGenerator {
       this.config.aspectRatio
     );
 
-    const resizedPixelData = extractPixelData(
-      source,
-      dimensions.width,
-      dimensions.height
+    const resizedPixelData = applyPreprocessing(
+      extractPixelData(source, dimensions.width, dimensions.height),
+      this.config.preprocess,
+      undefined,
+      this.luminance
     );
 
     const colorMap: CharColor[][] = [];
@@ -221,6 +342,10 @@ export class AsciiGenerator {
       colorMap.push(row);
     }
 
+    if (this.palette && this.paletteMatcher) {
+      quantizeColorGrid(colorMap, this.palette, this.paletteMatcher, this.config.dither);
+    }
+
     return colorMap;
   }
 
@@ -242,6 +367,23 @@ export class AsciiGenerator {
     if (config.width !== undefined) this.config.width = config.width;
     if (config.height !== undefined) this.config.height = config.height;
     if (config.optimized !== undefined) this.config.optimized = config.optimized;
+    if (config.mode !== undefined) this.config.mode = config.mode;
+    if (config.threshold !== undefined) this.config.threshold = config.threshold;
+    if (config.edgeThreshold !== undefined) this.config.edgeThreshold = config.edgeThreshold;
+    if (config.glyphFont !== undefined) this.config.glyphFont = config.glyphFont;
+    if (config.dither !== undefined) this.config.dither = config.dither;
+    if (config.preprocess !== undefined) this.config.preprocess = config.preprocess;
+    if (config.luminance !== undefined) {
+      this.luminance = createLuminanceFunction(config.luminance);
+      this.config.luminance = config.luminance;
+    }
+    if (config.palette !== undefined || config.paletteMetric !== undefined) {
+      if (config.palette !== undefined) this.config.palette = config.palette;
+      if (config.paletteMetric !== undefined) this.config.paletteMetric = config.paletteMetric;
+      this.resolvePaletteConfig();
+    }
+    if (config.htmlOptions !== undefined) this.config.htmlOptions = config.htmlOptions;
+    if (config.textRenderer !== undefined) this.config.textRenderer = config.textRenderer;
 
     this.validateConfig();
   }
@@ -255,62 +397,131 @@ export class AsciiGenerator {
     return { ...this.config };
   }
 
+  /**
+   * Runs a conversion as steps, pausing after each grid row
+   * The settings are captured before the first pause and passed to every
+   * helper, so a paused conversion is not affected by updateConfig()
+   */
+  private *convertSteps(source: ImageSource): ConversionSteps {
+    const startTime = performance.now();
+    const settings: ConversionSettings = {
+      config: { ...this.config },
+      charset: this.charset,
+      luminance: this.luminance,
+      palette: this.palette,
+      paletteMatcher: this.paletteMatcher
+    };
+    const { config, charset } = settings;
+
+    // Extract pixel data from source
+    const pixelData = extractPixelData(source);
+
+    // Calculate target dimensions with aspect ratio correction
+    const dimensions = calculateDimensions(
+      pixelData.width,
+      pixelData.height,
+      config.width || undefined,
+      config.height || undefined,
+      config.aspectRatio
+    );
+
+    // Security check: Validate calculated dimensions against colored limit
+    if (config.colored) {
+      const totalChars = dimensions.width * dimensions.height;
+      const MAX_COLORED_CHARS = 1000000;
+      if (totalChars > MAX_COLORED_CHARS) {
+        throw new Error(`Output dimensions (${dimensions.width}x${dimensions.height}) exceed maximum allowed characters for colored output (${MAX_COLORED_CHARS})`);
+      }
+    }
+
+    // Resize pixel data to target dimensions for processing
+    // Sub-pixel modes sample several source pixels per character cell
+    const cellSize = this.getCellPixelSize(config.mode);
+    const resizedPixelData = applyPreprocessing(
+      extractPixelData(source, dimensions.width * cellSize.width, dimensions.height * cellSize.height),
+      config.preprocess,
+      this.preprocessState,
+      settings.luminance
+    );
+
+    // Generate ASCII representation
+    const result = yield* this.processPixelData(resizedPixelData, dimensions, settings);
+
+    const endTime = performance.now();
+
+    // Build metadata
+    const metadata: AsciiMetadata = {
+      width: dimensions.width,
+      height: dimensions.height,
+      characterCount: dimensions.width * dimensions.height,
+      processingTime: endTime - startTime,
+      charset,
+      hasColor: config.colored,
+      mode: config.mode,
+      luminanceModel: typeof config.luminance === 'function' ? 'custom' : config.luminance
+    };
+
+    // Optional fields are only present when set, matching outputs unpacked from a worker
+    const output: AsciiOutput = {
+      text: result.text,
+      html: result.html,
+      characters: result.characters,
+      metadata
+    };
+    if (result.css !== undefined) output.css = result.css;
+    if (result.colors) output.colors = result.colors;
+    if (result.backgroundColors) output.backgroundColors = result.backgroundColors;
+    if (result.paletteIndices) output.paletteIndices = result.paletteIndices;
+    if (result.backgroundPaletteIndices) output.backgroundPaletteIndices = result.backgroundPaletteIndices;
+
+    return output;
+  }
+
   /**
    * Processes pixel data into ASCII representation
    * Core conversion algorithm with optional color support
+   * Pauses after each row it samples and each row it serializes
    */
-  private processPixelData(
-    pixelData: ReturnType<typeof extractPixelData>,
-    dimensions: { width: number; height: number }
-  ): {
-    text: string;
-    html: string;
-    characters: string[][];
-    colors?: CharColor[][];
-  } {
+  private *processPixelData(
+    pixelData: PixelData,
+    dimensions: { width: number; height: number },
+    settings: ConversionSettings
+  ): Generator<void, Omit<AsciiOutput, 'metadata'>, void> {
     const { width, height } = dimensions;
+    const { colored, mode, optimized, dither, htmlOptions } = settings.config;
+    const { palette, paletteMatcher } = settings;
     const characters: string[][] = [];
-    const colors: CharColor[][] | undefined = this.config.colored ? [] : undefined;
-    const lines: string[] = [];
-    const htmlLines: string[] = [];
+    const colors: CharColor[][] | undefined = colored ? [] : undefined;
+    const backgroundColors: CharColor[][] | undefined =
+      colored && mode === 'halfblock' ? [] : undefined;
+    const sampleCell = this.createCellSampler(pixelData, width, height, settings);
 
     // Pre-allocate arrays for performance
-    if (this.config.optimized) {
+    if (optimized) {
       characters.length = height;
       if (colors) colors.length = height;
+      if (backgroundColors) backgroundColors.length = height;
     }
 
     for (let y = 0; y < height; y++) {
-      const charRow: string[] = this.config.optimized ? new Array(width) : [];
+      const charRow: string[] = optimized ? new Array(width) : [];
       const colorRow: CharColor[] | undefined = colors
-        ? (this.config.optimized ? new Array(width) : [])
+        ? (optimized ? new Array(width) : [])
+        : undefined;
+      const backgroundRow: CharColor[] | undefined = backgroundColors
+        ? (optimized ? new Array(width) : [])
         : undefined;
-      let lineText = '';
-      let htmlLine = '';
 
       for (let x = 0; x < width; x++) {
-        // Sample pixel color for this grid position
-        const color = samplePixelColor(pixelData, x, y, width, height);
-
-        // Calculate luminance for character selection
-        const luminance = calculateLuminance(color.r, color.g, color.b);
-
-        // Map to character
-        const char = luminanceToChar(luminance, this.charset, this.config.inverted);
+        // Resolve character and color for this grid position
+        const { char, color, background } = sampleCell(x, y);
 
         charRow[x] = char;
         if (colorRow) {
           colorRow[x] = color;
         }
-
-        lineText += char;
-
-        // Build HTML with inline color if enabled
-        if (this.config.colored) {
-          const cssColor = rgbToCSS(color.r, color.g, color.b, color.a);
-          htmlLine += `<span style="color:${cssColor}">${this.escapeHtml(char)}</span>`;
-        } else {
-          htmlLine += this.escapeHtml(char);
+        if (backgroundRow && background) {
+          backgroundRow[x] = background;
         }
       }
 
@@ -318,21 +529,206 @@ export class AsciiGenerator {
       if (colorRow && colors) {
         colors[y] = colorRow;
       }
-      lines.push(lineText);
-      htmlLines.push(htmlLine);
+      if (backgroundRow && backgroundColors) {
+        backgroundColors[y] = backgroundRow;
+      }
+      yield;
     }
 
-    const text = lines.join('\n');
-    const html = this.buildHtmlOutput(htmlLines);
+    // Snap colors to the palette before serializing, so the HTML matches
+    let paletteIndices: number[][] | undefined;
+    let backgroundPaletteIndices: number[][] | undefined;
+    if (colors && palette && paletteMatcher) {
+      paletteIndices = quantizeColorGrid(colors, palette, paletteMatcher, dither);
+      if (backgroundColors) {
+        backgroundPaletteIndices = quantizeColorGrid(
+          backgroundColors,
+          palette,
+          paletteMatcher,
+          dither
+        );
+      }
+    }
+
+    const text = characters.map((row) => row.join('')).join('\n');
+    const htmlRenderer = createHtmlRenderer({ characters, colors, backgroundColors }, htmlOptions);
+    for (let y = 0; y < height; y++) {
+      htmlRenderer.renderRow(y);
+      yield;
+    }
+    const { html, css } = htmlRenderer.finish();
 
     return {
       text,
       html,
+      css: htmlOptions.useClasses ? css : undefined,
       characters,
-      colors
+      colors,
+      backgroundColors,
+      paletteIndices,
+      backgroundPaletteIndices
+    };
+  }
+
+  /**
+   * Returns how many source pixels make up one character cell in a rendering mode
+   */
+  private getCellPixelSize(mode: RenderMode): { width: number; height: number } {
+    if (mode === 'braille') {
+      return { width: BRAILLE_CELL_WIDTH, height: BRAILLE_CELL_HEIGHT };
+    }
+    if (mode === 'halfblock') {
+      return { width: 1, height: HALF_BLOCK_CELL_HEIGHT };
+    }
+    if (mode === 'shape') {
+      return { width: SHAPE_CELL_WIDTH, height: SHAPE_CELL_HEIGHT };
+    }
+    return { width: 1, height: 1 };
+  }
+
+  /**
+   * Creates the per-cell sampling function for the conversion's rendering mode
+   */
+  private createCellSampler(
+    pixelData: PixelData,
+    width: number,
+    height: number,
+    settings: ConversionSettings
+  ): (x: number, y: number) => CellSample {
+    const { inverted, threshold, colored, mode, glyphFont, dither } = settings.config;
+    const luminanceFn = settings.luminance;
+    const charset = settings.charset;
+
+    if (mode === 'braille') {
+      return (x, y) => sampleBrailleCell(pixelData, x, y, width, height, threshold, inverted, luminanceFn);
+    }
+
+    if (mode === 'halfblock') {
+      return (x, y) =>
+        sampleHalfBlockCell(pixelData, x, y, width, height, threshold, inverted, colored, luminanceFn);
+    }
+
+    if (mode === 'edges') {
+      return this.createEdgeSampler(pixelData, width, height, settings);
+    }
+
+    if (mode === 'shape') {
+      const glyphs = renderGlyphBitmaps(charset, glyphFont);
+      return (x, y) => sampleShapeCell(pixelData, x, y, width, height, glyphs, inverted, luminanceFn);
+    }
+
+    if (dither !== 'none') {
+      return this.createDitheredSampler(pixelData, width, height, settings);
+    }
+
+    return (x, y) => {
+      // Sample pixel color for this grid position
+      const color = samplePixelColor(pixelData, x, y, width, height);
+
+      // Calculate luminance for character selection
+      const luminance = luminanceFn(color.r, color.g, color.b, color.a);
+
+      // Map to character
+      return { char: luminanceToChar(luminance, charset, inverted), color };
     };
   }
 
+  /**
+   * Creates the 'edges' mode sampler
+   * Runs Sobel over the whole grid up front, then draws strong edges with
+   * directional characters and leaves the rest on the luminance ramp
+   */
+  private createEdgeSampler(
+    pixelData: PixelData,
+    width: number,
+    height: number,
+    settings: ConversionSettings
+  ): (x: number, y: number) => CellSample {
+    const { inverted, edgeThreshold } = settings.config;
+    const charset = settings.charset;
+    const { colors, luminance } = this.sampleGrid(pixelData, width, height, settings.luminance);
+    const field = computeSobel(luminance, width, height);
+    const edges = detectEdges(field, width, height, edgeThreshold);
+
+    return (x, y) => {
+      const index = y * width + x;
+      const char = edges[index]
+        ? gradientToEdgeChar(field.gx[index], field.gy[index])
+        : luminanceToChar(luminance[index], charset, inverted);
+
+      return { char, color: colors[index] };
+    };
+  }
+
+  /**
+   * Creates the dithered 'ascii' mode sampler
+   * Quantizes the whole luminance grid onto the charset up front so error
+   * diffusion can carry each cell's rounding error to its neighbours
+   */
+  private createDitheredSampler(
+    pixelData: PixelData,
+    width: number,
+    height: number,
+    settings: ConversionSettings
+  ): (x: number, y: number) => CellSample {
+    const { colors, luminance } = this.sampleGrid(pixelData, width, height, settings.luminance);
+
+    if (settings.config.inverted) {
+      for (let i = 0; i < luminance.length; i++) {
+        luminance[i] = 255 - luminance[i];
+      }
+    }
+
+    const charset = settings.charset;
+    const indices = ditherLuminance(luminance, width, height, charset.length, settings.config.dither);
+
+    return (x, y) => {
+      const index = y * width + x;
+      return { char: charset[indices[index]], color: colors[index] };
+    };
+  }
+
+  /**
+   * Samples every cell of the grid once, for modes that need whole-grid passes
+   */
+  private sampleGrid(
+    pixelData: PixelData,
+    width: number,
+    height: number,
+    luminanceFn: LuminanceFunction
+  ): { colors: CharColor[]; luminance: Float32Array } {
+    const colors: CharColor[] = new Array(width * height);
+    const luminance = new Float32Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const color = samplePixelColor(pixelData, x, y, width, height);
+        colors[y * width + x] = color;
+        luminance[y * width + x] = luminanceFn(color.r, color.g, color.b, color.a);
+      }
+    }
+
+    return { colors, luminance };
+  }
+
+  /**
+   * Resolves the configured palette and builds its nearest-color matcher
+   */
+  private resolvePaletteConfig(): void {
+    if (!PALETTE_METRICS.includes(this.config.paletteMetric)) {
+      throw new Error(`Invalid palette metric. Allowed values: ${PALETTE_METRICS.join(', ')}`);
+    }
+
+    if (this.config.palette === null) {
+      this.palette = null;
+      this.paletteMatcher = null;
+      return;
+    }
+
+    this.palette = resolvePalette(this.config.palette);
+    this.paletteMatcher = createPaletteMatcher(this.palette, this.config.paletteMetric);
+  }
+
   /**
    * Resolves charset from preset or custom string
    */
@@ -374,6 +770,25 @@ export class AsciiGenerator {
       throw new Error('Aspect ratio must be positive');
     }
 
+    if (!RENDER_MODES.includes(this.config.mode)) {
+      throw new Error(`Invalid mode. Allowed values: ${RENDER_MODES.join(', ')}`);
+    }
+
+    if (!DITHER_METHODS.includes(this.config.dither)) {
+      throw new Error(`Invalid dither method. Allowed values: ${DITHER_METHODS.join(', ')}`);
+    }
+
+    validatePreprocessSteps(this.config.preprocess);
+    validateHtmlOptions(this.config.htmlOptions);
+
+    if (this.config.threshold < 0 || this.config.threshold > 255) {
+      throw new Error('Threshold must be between 0 and 255');
+    }
+
+    if (this.config.edgeThreshold < 0 || this.config.edgeThreshold > 255) {
+      throw new Error('Edge threshold must be between 0 and 255');
+    }
+
     if (this.config.width < 0 || this.config.height < 0) {
       throw new Error('Width and height must be non-negative');
     }
@@ -405,30 +820,4 @@ export class AsciiGenerator {
       }
     }
   }
-
-  /**
-   * Builds final HTML output with proper formatting
-   */
-  private buildHtmlOutput(lines: string[]): string {
-    const preStyle = this.config.colored
-      ? 'style="font-family:monospace;line-height:1;white-space:pre;background:#000"'
-      : 'style="font-family:monospace;line-height:1;white-space:pre"';
-
-    return `<pre ${preStyle}>${lines.join('\n')}</pre>`;
-  }
-
-  /**
-   * Escapes HTML special characters to prevent XSS
-   */
-  private escapeHtml(text: string): string {
-    const map: Record<string, string> = {
-      '&': '&amp;',
-      '<': '&lt;',
-      '>': '&gt;',
-      '"': '&quot;',
-      "'": '&#039;',
-      '`': '&#96;'
-    };
-    return text.replace(/[&<>"'`]/g, (char) => map[char]);
-  }
 }
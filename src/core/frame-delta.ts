@@ -0,0 +1,502 @@
+/**
+ * Temporal delta encoding between consecutive ASCII frames
+ * @module core/frame-delta
+ */
+
+import type { AsciiOutput, CharColor } from '../types/interfaces';
+
+/**
+ * A full row of a frame
+ */
+export interface AsciiDeltaRow {
+  /** Row index */
+  y: number;
+
+  /** The row's characters joined; one per cell (split with Array.from) unless `chars` is set */
+  text: string;
+
+  /** Each cell's string, sent only when some cell in the row is not a single code point */
+  chars?: string[];
+
+  /** Foreground color per cell as #rrggbb or #rrggbbaa (colored frames only) */
+  colors?: string[];
+
+  /** Background color per cell as #rrggbb or #rrggbbaa (frames with backgroundColors only) */
+  backgrounds?: string[];
+}
+
+/**
+ * A single changed cell
+ */
+export interface AsciiDeltaCell {
+  x: number;
+  y: number;
+  char: string;
+
+  /** Foreground color as #rrggbb or #rrggbbaa (colored frames only) */
+  color?: string;
+
+  /** Background color as #rrggbb or #rrggbbaa (frames with backgroundColors only) */
+  background?: string;
+}
+
+/**
+ * One encoded frame: a key frame with every row, or the changes since the previous frame
+ *
+ * A key frame is sent first, whenever the grid size or color layout changes,
+ * every `keyframeInterval` frames, and after reset(). Delta frames must be
+ * applied in order on top of the frame before them; `frame` numbers are
+ * consecutive so gaps can be detected. The object is plain JSON.
+ */
+export interface AsciiFrameDelta {
+  /** 'key' replaces the whole grid; 'delta' patches the previous frame */
+  type: 'key' | 'delta';
+
+  /** Sequence number, starting at 0 */
+  frame: number;
+
+  /** Grid width in cells */
+  width: number;
+
+  /** Grid height in cells */
+  height: number;
+
+  /** Whether cells carry foreground colors */
+  colored: boolean;
+
+  /** Whether cells carry background colors */
+  backgrounds: boolean;
+
+  /** Full rows: every row for key frames, changed rows in 'row' granularity */
+  rows?: AsciiDeltaRow[];
+
+  /** Changed cells in 'cell' granularity */
+  cells?: AsciiDeltaCell[];
+}
+
+/**
+ * Options for AsciiDeltaEncoder
+ */
+export interface AsciiDeltaOptions {
+  /**
+   * Send changed cells individually, or whole rows that contain a change
+   * @default 'cell'
+   */
+  granularity?: 'cell' | 'row';
+
+  /**
+   * Frames a new cell value must persist before it is sent (1 = send immediately)
+   * Values of 2 or more suppress single-frame flicker from sensor noise
+   * @default 1
+   */
+  stabilityThreshold?: number;
+
+  /**
+   * Per-channel color difference (0-255) treated as no change
+   * @default 0
+   */
+  colorTolerance?: number;
+
+  /**
+   * Send a key frame every N frames so late joiners can sync (0 = only when needed)
+   * @default 0
+   */
+  keyframeInterval?: number;
+}
+
+/**
+ * A rebuilt frame, accepted by renderAnsi and renderHtml
+ */
+export type AsciiFrame = Pick<AsciiOutput, 'text' | 'characters' | 'colors' | 'backgroundColors'>;
+
+// Security limits for decoded frames, matching the generator's output limits
+const MAX_DIMENSION = 10000;
+const MAX_CELLS = 25000000;
+const MAX_STABILITY_THRESHOLD = 1000;
+
+/**
+ * Formats a color as #rrggbb, or #rrggbbaa when translucent
+ */
+function toHex(color: CharColor): string {
+  const channels = color.a >= 255 ? [color.r, color.g, color.b] : [color.r, color.g, color.b, color.a];
+  return '#' + channels
+    .map((c) => Math.max(0, Math.min(255, Math.round(c))).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Parses #rrggbb / #rrggbbaa
+ */
+function fromHex(value: unknown): CharColor {
+  if (typeof value !== 'string' || !/^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(value)) {
+    throw new Error(`Invalid color in frame delta: ${String(value)}`);
+  }
+  return {
+    r: parseInt(value.slice(1, 3), 16),
+    g: parseInt(value.slice(3, 5), 16),
+    b: parseInt(value.slice(5, 7), 16),
+    a: value.length === 9 ? parseInt(value.slice(7, 9), 16) : 255
+  };
+}
+
+/**
+ * Checks whether every cell is exactly one code point, so the joined row splits back with Array.from
+ */
+function isSingleCodePoints(cells: string[]): boolean {
+  return cells.every((cell) => {
+    const codePoint = cell.codePointAt(0);
+    return codePoint !== undefined && cell.length === (codePoint > 0xffff ? 2 : 1);
+  });
+}
+
+function colorsClose(a: CharColor | undefined, b: CharColor | undefined, tolerance: number): boolean {
+  if (!a || !b) return a === b;
+  return Math.abs(a.r - b.r) <= tolerance && Math.abs(a.g - b.g) <= tolerance &&
+    Math.abs(a.b - b.b) <= tolerance && Math.abs(a.a - b.a) <= tolerance;
+}
+
+/**
+ * Encodes consecutive frames as key frames and deltas
+ *
+ * Keeps the grid the receiver last saw and sends only what changed. With a
+ * stability threshold above 1, a cell is sent only after its new value has
+ * held for that many frames, so noise that flips a cell for a single frame
+ * never reaches the receiver.
+ *
+ * @example
+ * ```typescript
+ * const encoder = new AsciiDeltaEncoder({ stabilityThreshold: 2 });
+ *
+ * renderer.on('frame', (output) => {
+ *   socket.send(JSON.stringify(encoder.encode(output)));
+ * });
+ * ```
+ */
+export class AsciiDeltaEncoder {
+  private readonly granularity: 'cell' | 'row';
+  private readonly stabilityThreshold: number;
+  private readonly colorTolerance: number;
+  private readonly keyframeInterval: number;
+
+  private frame = 0;
+  private lastKeyframe = 0;
+  private needsKeyframe = true;
+  private width = 0;
+  private height = 0;
+  private colored = false;
+  private backgrounds = false;
+
+  // Grid as last sent to the receiver, flattened row-major
+  private sentChars: string[] = [];
+  private sentColors: Array<CharColor | undefined> = [];
+  private sentBackgrounds: Array<CharColor | undefined> = [];
+
+  // Candidate values waiting to become stable
+  private pendingChars: Array<string | undefined> = [];
+  private pendingColors: Array<CharColor | undefined> = [];
+  private pendingBackgrounds: Array<CharColor | undefined> = [];
+  private pendingCounts = new Uint16Array(0);
+
+  /**
+   * Creates an encoder
+   *
+   * @param options - Granularity, stability and key frame options
+   * @throws Error if an option is out of range
+   */
+  constructor(options: AsciiDeltaOptions = {}) {
+    const { granularity = 'cell', stabilityThreshold = 1, colorTolerance = 0, keyframeInterval = 0 } = options;
+
+    if (granularity !== 'cell' && granularity !== 'row') {
+      throw new Error('Invalid granularity. Allowed values: cell, row');
+    }
+    if (!Number.isInteger(stabilityThreshold) || stabilityThreshold < 1 || stabilityThreshold > MAX_STABILITY_THRESHOLD) {
+      throw new Error(`Stability threshold must be an integer between 1 and ${MAX_STABILITY_THRESHOLD}`);
+    }
+    if (!Number.isFinite(colorTolerance) || colorTolerance < 0 || colorTolerance > 255) {
+      throw new Error('Color tolerance must be between 0 and 255');
+    }
+    if (!Number.isInteger(keyframeInterval) || keyframeInterval < 0) {
+      throw new Error('Keyframe interval must be a non-negative integer');
+    }
+
+    this.granularity = granularity;
+    this.stabilityThreshold = stabilityThreshold;
+    this.colorTolerance = colorTolerance;
+    this.keyframeInterval = keyframeInterval;
+  }
+
+  /**
+   * Encodes the next frame relative to the previously encoded one
+   *
+   * @param output - Result of convertImage / convertText
+   * @returns Key frame or delta, ready for JSON.stringify
+   */
+  encode(output: Pick<AsciiOutput, 'characters' | 'colors' | 'backgroundColors'>): AsciiFrameDelta {
+    const { characters, colors, backgroundColors } = output;
+    const height = characters.length;
+    const width = height > 0 ? characters[0].length : 0;
+    const colored = Boolean(colors);
+    const backgrounds = Boolean(backgroundColors);
+    const frame = this.frame++;
+
+    const isKeyframe = this.needsKeyframe ||
+      width !== this.width || height !== this.height ||
+      colored !== this.colored || backgrounds !== this.backgrounds ||
+      (this.keyframeInterval > 0 && frame - this.lastKeyframe >= this.keyframeInterval);
+
+    if (isKeyframe) {
+      this.storeKeyframe(output, width, height);
+      this.lastKeyframe = frame;
+
+      const rows: AsciiDeltaRow[] = [];
+      for (let y = 0; y < height; y++) rows.push(this.sentRow(y));
+      return { type: 'key', frame, width, height, colored, backgrounds, rows };
+    }
+
+    const tolerance = this.colorTolerance;
+    const changed: number[] = [];
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const index = y * width + x;
+        const char = characters[y][x];
+        const color = colors?.[y][x];
+        const background = backgroundColors?.[y][x];
+
+        if (char === this.sentChars[index] &&
+          colorsClose(color, this.sentColors[index], tolerance) &&
+          colorsClose(background, this.sentBackgrounds[index], tolerance)) {
+          this.pendingCounts[index] = 0;
+          continue;
+        }
+
+        if (this.stabilityThreshold > 1) {
+          const samePending = this.pendingCounts[index] > 0 && char === this.pendingChars[index] &&
+            colorsClose(color, this.pendingColors[index], tolerance) &&
+            colorsClose(background, this.pendingBackgrounds[index], tolerance);
+
+          if (!samePending) {
+            this.pendingChars[index] = char;
+            this.pendingColors[index] = color;
+            this.pendingBackgrounds[index] = background;
+            this.pendingCounts[index] = 1;
+            continue;
+          }
+          if (++this.pendingCounts[index] < this.stabilityThreshold) {
+            continue;
+          }
+        }
+
+        this.sentChars[index] = char;
+        this.sentColors[index] = color;
+        this.sentBackgrounds[index] = background;
+        this.pendingCounts[index] = 0;
+        changed.push(index);
+      }
+    }
+
+    const delta: AsciiFrameDelta = { type: 'delta', frame, width, height, colored, backgrounds };
+
+    if (this.granularity === 'row') {
+      const rows: AsciiDeltaRow[] = [];
+      let lastRow = -1;
+      for (const index of changed) {
+        const y = Math.floor(index / width);
+        if (y !== lastRow) {
+          rows.push(this.sentRow(y));
+          lastRow = y;
+        }
+      }
+      delta.rows = rows;
+    } else {
+      delta.cells = changed.map((index) => {
+        const cell: AsciiDeltaCell = { x: index % width, y: Math.floor(index / width), char: this.sentChars[index] };
+        if (colored) cell.color = toHex(this.sentColors[index]!);
+        if (backgrounds) cell.background = toHex(this.sentBackgrounds[index]!);
+        return cell;
+      });
+    }
+
+    return delta;
+  }
+
+  /**
+   * Makes the next encode() produce a key frame, e.g. when a client (re)connects
+   */
+  reset(): void {
+    this.needsKeyframe = true;
+  }
+
+  private storeKeyframe(
+    output: Pick<AsciiOutput, 'characters' | 'colors' | 'backgroundColors'>,
+    width: number,
+    height: number
+  ): void {
+    const size = width * height;
+    this.width = width;
+    this.height = height;
+    this.colored = Boolean(output.colors);
+    this.backgrounds = Boolean(output.backgroundColors);
+    this.needsKeyframe = false;
+
+    this.sentChars = new Array(size);
+    this.sentColors = new Array(size);
+    this.sentBackgrounds = new Array(size);
+    this.pendingChars = new Array(size);
+    this.pendingColors = new Array(size);
+    this.pendingBackgrounds = new Array(size);
+    this.pendingCounts = new Uint16Array(size);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const index = y * width + x;
+        this.sentChars[index] = output.characters[y][x];
+        this.sentColors[index] = output.colors?.[y][x];
+        this.sentBackgrounds[index] = output.backgroundColors?.[y][x];
+      }
+    }
+  }
+
+  private sentRow(y: number): AsciiDeltaRow {
+    const start = y * this.width;
+    const end = start + this.width;
+    const chars = this.sentChars.slice(start, end);
+    const row: AsciiDeltaRow = { y, text: chars.join('') };
+
+    if (!isSingleCodePoints(chars)) row.chars = chars;
+
+    if (this.colored) row.colors = this.sentColors.slice(start, end).map((color) => toHex(color!));
+    if (this.backgrounds) row.backgrounds = this.sentBackgrounds.slice(start, end).map((color) => toHex(color!));
+    return row;
+  }
+}
+
+/**
+ * Rebuilds frames from the output of AsciiDeltaEncoder, e.g. on another machine
+ *
+ * @example
+ * ```typescript
+ * const decoder = new AsciiDeltaDecoder();
+ *
+ * socket.onmessage = (event) => {
+ *   const frame = decoder.apply(JSON.parse(event.data));
+ *   output.textContent = frame.text;
+ * };
+ * ```
+ */
+export class AsciiDeltaDecoder {
+  private characters: string[][] = [];
+  private colors: CharColor[][] | undefined;
+  private backgroundColors: CharColor[][] | undefined;
+  private width = 0;
+  private height = 0;
+  private lastFrame = -1;
+
+  /**
+   * Applies a key frame or delta and returns the rebuilt frame
+   *
+   * @param delta - Next frame from the encoder
+   * @returns Snapshot of the current frame
+   * @throws Error if the delta is malformed, arrives before a key frame, or a frame was missed
+   */
+  apply(delta: AsciiFrameDelta): AsciiFrame {
+    const { type, frame, width, height } = delta;
+
+    if (type !== 'key' && type !== 'delta') {
+      throw new Error('Invalid frame delta type');
+    }
+    if (!Number.isInteger(frame) || frame < 0) {
+      throw new Error('Invalid frame number in frame delta');
+    }
+
+    if (type === 'key') {
+      if (!Number.isInteger(width) || !Number.isInteger(height) || width < 0 || height < 0 ||
+        width > MAX_DIMENSION || height > MAX_DIMENSION || width * height > MAX_CELLS) {
+        throw new Error(`Invalid frame size in frame delta (${width}x${height})`);
+      }
+      if (!Array.isArray(delta.rows) || delta.rows.length !== height) {
+        throw new Error('Key frame delta must contain every row');
+      }
+
+      this.width = width;
+      this.height = height;
+      this.characters = Array.from({ length: height }, () => new Array<string>(width).fill(' '));
+      this.colors = delta.colored
+        ? Array.from({ length: height }, () => new Array<CharColor>(width).fill({ r: 0, g: 0, b: 0, a: 255 }))
+        : undefined;
+      this.backgroundColors = delta.backgrounds
+        ? Array.from({ length: height }, () => new Array<CharColor>(width).fill({ r: 0, g: 0, b: 0, a: 255 }))
+        : undefined;
+    } else {
+      if (this.lastFrame < 0) {
+        throw new Error('Frame delta received before a key frame');
+      }
+      if (frame !== this.lastFrame + 1) {
+        throw new Error(`Missed frame ${this.lastFrame + 1}; request a new key frame`);
+      }
+      if (width !== this.width || height !== this.height) {
+        throw new Error('Frame delta size does not match the current frame');
+      }
+    }
+
+    for (const row of delta.rows ?? []) {
+      this.applyRow(row);
+    }
+    for (const cell of delta.cells ?? []) {
+      this.applyCell(cell);
+    }
+
+    this.lastFrame = frame;
+
+    return {
+      text: this.characters.map((row) => row.join('')).join('\n'),
+      characters: this.characters.map((row) => row.slice()),
+      colors: this.colors?.map((row) => row.slice()),
+      backgroundColors: this.backgroundColors?.map((row) => row.slice())
+    };
+  }
+
+  /**
+   * Forgets the current frame; the next frame applied must be a key frame
+   */
+  reset(): void {
+    this.lastFrame = -1;
+  }
+
+  private checkPosition(x: number, y: number): void {
+    if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || y < 0 || x >= this.width || y >= this.height) {
+      throw new Error(`Cell position out of range in frame delta (${x}, ${y})`);
+    }
+  }
+
+  private applyRow(row: AsciiDeltaRow): void {
+    this.checkPosition(0, row.y);
+
+    const chars = Array.isArray(row.chars) ? row.chars.map(String) : Array.from(String(row.text));
+    if (chars.length !== this.width) {
+      throw new Error(`Row ${row.y} in frame delta has ${chars.length} cells, expected ${this.width}`);
+    }
+
+    this.characters[row.y] = chars;
+    if (this.colors) {
+      if (!Array.isArray(row.colors) || row.colors.length !== this.width) {
+        throw new Error(`Row ${row.y} in frame delta is missing colors`);
+      }
+      this.colors[row.y] = row.colors.map(fromHex);
+    }
+    if (this.backgroundColors) {
+      if (!Array.isArray(row.backgrounds) || row.backgrounds.length !== this.width) {
+        throw new Error(`Row ${row.y} in frame delta is missing backgrounds`);
+      }
+      this.backgroundColors[row.y] = row.backgrounds.map(fromHex);
+    }
+  }
+
+  private applyCell(cell: AsciiDeltaCell): void {
+    this.checkPosition(cell.x, cell.y);
+
+    this.characters[cell.y][cell.x] = String(cell.char);
+    if (this.colors) this.colors[cell.y][cell.x] = fromHex(cell.color);
+    if (this.backgroundColors) this.backgroundColors[cell.y][cell.x] = fromHex(cell.background);
+  }
+}
@@ -0,0 +1,378 @@
+/**
+ * Frame loop that converts an HTMLVideoElement to ASCII
+ * @module core/video-renderer
+ */
+
+import type { AsciiConfig, AsciiOutput } from '../types/interfaces';
+import { AsciiGenerator } from './ascii-engine';
+
+/**
+ * Details about a rendered video frame
+ */
+export interface VideoFrameInfo {
+  /** Presentation time of the frame in the video, in seconds */
+  mediaTime: number;
+
+  /** Frames rendered since start() */
+  frameIndex: number;
+
+  /** Video frames skipped since start() because of throttling or slow conversion */
+  droppedFrames: number;
+}
+
+/**
+ * Where converted frames go: an element (receives the HTML or text) or a callback
+ */
+export type VideoFrameTarget = HTMLElement | ((output: AsciiOutput, info: VideoFrameInfo) => void);
+
+/**
+ * Events emitted by AsciiVideoRenderer
+ */
+export interface AsciiVideoRendererEvents {
+  start: () => void;
+  stop: () => void;
+  pause: () => void;
+  resume: () => void;
+  frame: (output: AsciiOutput, info: VideoFrameInfo) => void;
+  error: (error: Error) => void;
+}
+
+/**
+ * Playback state of an AsciiVideoRenderer
+ */
+export type VideoRendererState = 'idle' | 'running' | 'paused';
+
+/**
+ * Options for AsciiVideoRenderer
+ */
+export interface AsciiVideoRendererOptions {
+  /**
+   * Maximum frames per second to convert (0 = every video frame)
+   * @default 30
+   */
+  fps?: number;
+
+  /**
+   * Generator used for conversion; created from `config` when omitted
+   */
+  generator?: AsciiGenerator;
+
+  /**
+   * Configuration for the generator created when `generator` is omitted
+   */
+  config?: AsciiConfig;
+
+  /**
+   * What an element target receives: 'html' sets innerHTML, 'text' sets textContent
+   * @default 'html'
+   */
+  output?: 'html' | 'text';
+
+  /**
+   * Always use requestAnimationFrame, even where requestVideoFrameCallback exists
+   * @default false
+   */
+  useAnimationFrame?: boolean;
+}
+
+const MAX_FPS = 240;
+
+/** HTMLMediaElement.HAVE_CURRENT_DATA: the current frame can be drawn */
+const HAVE_CURRENT_DATA = 2;
+
+/** Tolerance for frame callbacks arriving slightly early, in milliseconds */
+const FRAME_TIME_TOLERANCE = 1;
+
+/**
+ * Converts an HTMLVideoElement to ASCII frame by frame
+ *
+ * Uses requestVideoFrameCallback where available, so each new video frame is
+ * converted once, and falls back to requestAnimationFrame elsewhere. Frames
+ * are skipped until the video has data and non-zero dimensions, conversion is
+ * throttled to the target FPS, and the renderer always converts the newest
+ * frame instead of catching up on frames it missed.
+ *
+ * @example
+ * ```typescript
+ * const video = document.querySelector('video');
+ * const renderer = new AsciiVideoRenderer(video, document.getElementById('output'), {
+ *   fps: 24,
+ *   config: { charset: CharsetPreset.BLOCK, colored: true, width: 80 }
+ * });
+ *
+ * renderer.on('error', (error) => console.error(error));
+ * renderer.start();
+ * // later: renderer.stop();
+ * ```
+ */
+export class AsciiVideoRenderer {
+  /** Generator used for conversion; call updateConfig on it to change settings live */
+  readonly generator: AsciiGenerator;
+
+  private readonly video: HTMLVideoElement;
+  private readonly target: VideoFrameTarget;
+  private readonly fps: number;
+  private readonly outputKind: 'html' | 'text';
+  private readonly useAnimationFrame: boolean;
+  private readonly listeners: { [K in keyof AsciiVideoRendererEvents]?: AsciiVideoRendererEvents[K][] } = {};
+
+  private currentState: VideoRendererState = 'idle';
+  private handle: number | null = null;
+  private handleIsVideoFrame = false;
+  private lastRenderTime = -Infinity;
+  private lastMediaTime = -1;
+  private lastPresentedFrames = -1;
+  private frameIndex = 0;
+  private droppedFrames = 0;
+
+  /**
+   * Creates a video renderer
+   *
+   * @param video - Video element to convert
+   * @param target - Element that receives each frame, or a callback
+   * @param options - Frame rate, generator and output options
+   * @throws Error if the options are invalid
+   */
+  constructor(video: HTMLVideoElement, target: VideoFrameTarget, options: AsciiVideoRendererOptions = {}) {
+    const { fps = 30, output = 'html', useAnimationFrame = false } = options;
+
+    if (!Number.isFinite(fps) || fps < 0 || fps > MAX_FPS) {
+      throw new Error(`FPS must be between 0 and ${MAX_FPS}`);
+    }
+    if (output !== 'html' && output !== 'text') {
+      throw new Error('Invalid output. Allowed values: html, text');
+    }
+
+    this.video = video;
+    this.target = target;
+    this.fps = fps;
+    this.outputKind = output;
+    this.useAnimationFrame = useAnimationFrame;
+    this.generator = options.generator ?? new AsciiGenerator(options.config);
+  }
+
+  /**
+   * Current playback state
+   */
+  get state(): VideoRendererState {
+    return this.currentState;
+  }
+
+  /**
+   * Registers an event listener
+   *
+   * @param event - Event name
+   * @param listener - Listener to call
+   * @returns This renderer, for chaining
+   */
+  on<K extends keyof AsciiVideoRendererEvents>(event: K, listener: AsciiVideoRendererEvents[K]): this {
+    const list = (this.listeners[event] ??= []) as AsciiVideoRendererEvents[K][];
+    list.push(listener);
+    return this;
+  }
+
+  /**
+   * Removes an event listener
+   *
+   * @param event - Event name
+   * @param listener - Listener previously passed to on()
+   * @returns This renderer, for chaining
+   */
+  off<K extends keyof AsciiVideoRendererEvents>(event: K, listener: AsciiVideoRendererEvents[K]): this {
+    const list = this.listeners[event] as AsciiVideoRendererEvents[K][] | undefined;
+    if (list) {
+      const index = list.indexOf(listener);
+      if (index !== -1) list.splice(index, 1);
+    }
+    return this;
+  }
+
+  /**
+   * Starts converting frames (no-op if already running)
+   * Resumes instead when paused
+   */
+  start(): void {
+    if (this.currentState === 'running') return;
+    if (this.currentState === 'paused') {
+      this.resume();
+      return;
+    }
+
+    this.currentState = 'running';
+    this.lastRenderTime = -Infinity;
+    this.lastMediaTime = -1;
+    this.lastPresentedFrames = -1;
+    this.frameIndex = 0;
+    this.droppedFrames = 0;
+    this.emit('start');
+    this.schedule();
+  }
+
+  /**
+   * Stops converting frames; the last frame stays in the target
+   */
+  stop(): void {
+    if (this.currentState === 'idle') return;
+    this.cancel();
+    this.currentState = 'idle';
+    this.emit('stop');
+  }
+
+  /**
+   * Pauses conversion without touching the video's own playback
+   */
+  pause(): void {
+    if (this.currentState !== 'running') return;
+    this.cancel();
+    this.currentState = 'paused';
+    this.emit('pause');
+  }
+
+  /**
+   * Resumes conversion after pause()
+   */
+  resume(): void {
+    if (this.currentState !== 'paused') return;
+    this.currentState = 'running';
+    this.lastRenderTime = -Infinity;
+    this.emit('resume');
+    this.schedule();
+  }
+
+  /**
+   * Converts the current video frame immediately, regardless of state and FPS
+   *
+   * @returns The converted frame, or null if the video has no frame to draw yet
+   * @throws Error if conversion fails
+   */
+  renderFrame(): AsciiOutput | null {
+    if (!this.isFrameAvailable()) {
+      return null;
+    }
+
+    const output = this.generator.convertImage(this.video);
+    this.lastMediaTime = this.video.currentTime;
+    this.deliver(output);
+    return output;
+  }
+
+  /**
+   * Whether the video has a drawable frame with non-zero dimensions
+   */
+  private isFrameAvailable(): boolean {
+    return this.video.readyState >= HAVE_CURRENT_DATA && this.video.videoWidth > 0 && this.video.videoHeight > 0;
+  }
+
+  private schedule(): void {
+    if (!this.useAnimationFrame && typeof this.video.requestVideoFrameCallback === 'function') {
+      this.handleIsVideoFrame = true;
+      this.handle = this.video.requestVideoFrameCallback(this.onVideoFrame);
+    } else {
+      this.handleIsVideoFrame = false;
+      this.handle = requestAnimationFrame(this.onAnimationFrame);
+    }
+  }
+
+  private cancel(): void {
+    if (this.handle === null) return;
+
+    if (this.handleIsVideoFrame) {
+      this.video.cancelVideoFrameCallback(this.handle);
+    } else {
+      cancelAnimationFrame(this.handle);
+    }
+    this.handle = null;
+  }
+
+  private readonly onVideoFrame = (now: number, metadata: VideoFrameCallbackMetadata): void => {
+    this.handle = null;
+
+    // presentedFrames jumps when the compositor showed frames we never saw
+    if (this.lastPresentedFrames >= 0 && metadata.presentedFrames > this.lastPresentedFrames + 1) {
+      this.droppedFrames += metadata.presentedFrames - this.lastPresentedFrames - 1;
+    }
+    this.lastPresentedFrames = metadata.presentedFrames;
+
+    this.tick(now, metadata.mediaTime);
+  };
+
+  private readonly onAnimationFrame = (now: number): void => {
+    this.handle = null;
+    this.tick(now, this.video.currentTime);
+  };
+
+  /**
+   * Converts the frame if it is new, drawable and due, then schedules the next callback
+   */
+  private tick(now: number, mediaTime: number): void {
+    if (this.currentState !== 'running') return;
+
+    const isNewFrame = mediaTime !== this.lastMediaTime;
+    const interval = this.fps > 0 ? 1000 / this.fps : 0;
+    const elapsed = now - this.lastRenderTime;
+
+    if (isNewFrame && this.isFrameAvailable()) {
+      if (elapsed + FRAME_TIME_TOLERANCE < interval) {
+        this.droppedFrames++;
+      } else {
+        // Keep the schedule aligned to the interval, without building up a backlog
+        this.lastRenderTime = elapsed > interval && elapsed < interval * 2 ? now - (elapsed - interval) : now;
+        this.lastMediaTime = mediaTime;
+
+        try {
+          const output = this.generator.convertImage(this.video);
+          this.deliver(output, mediaTime);
+        } catch (error) {
+          this.stop();
+          this.fail(error instanceof Error ? error : new Error(String(error)));
+          return;
+        }
+      }
+    }
+
+    // A listener may have stopped or paused the renderer
+    if (this.currentState === 'running') {
+      this.schedule();
+    }
+  }
+
+  /**
+   * Writes a frame to the target and emits the frame event
+   */
+  private deliver(output: AsciiOutput, mediaTime: number = this.video.currentTime): void {
+    const info: VideoFrameInfo = {
+      mediaTime,
+      frameIndex: this.frameIndex++,
+      droppedFrames: this.droppedFrames
+    };
+
+    if (typeof this.target === 'function') {
+      this.target(output, info);
+    } else if (this.outputKind === 'text') {
+      this.target.textContent = output.text;
+    } else {
+      this.target.innerHTML = output.html;
+    }
+
+    this.emit('frame', output, info);
+  }
+
+  /**
+   * Reports a conversion error to listeners, or rethrows it when nobody listens
+   */
+  private fail(error: Error): void {
+    if (!this.listeners.error?.length) {
+      throw error;
+    }
+    this.emit('error', error);
+  }
+
+  private emit<K extends keyof AsciiVideoRendererEvents>(
+    event: K,
+    ...args: Parameters<AsciiVideoRendererEvents[K]>
+  ): void {
+    for (const listener of [...(this.listeners[event] ?? [])]) {
+      (listener as (...values: Parameters<AsciiVideoRendererEvents[K]>) => void)(...args);
+    }
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * BMP decoder
+ * @module decoders/bmp
+ */
+
+import type { PixelData } from '../types/interfaces';
+import { toBytes, validateImageSize } from './common';
+import type { ImageBytes } from './common';
+
+/** BITMAPCOREHEADER (OS/2 1.x) size */
+const CORE_HEADER_SIZE = 12;
+
+/** BMP compression types */
+const BI_RGB = 0;
+const BI_BITFIELDS = 3;
+const BI_ALPHABITFIELDS = 6;
+
+/**
+ * Checks whether bytes start with the BMP signature
+ *
+ * @param bytes - File contents
+ * @returns True if the data looks like a BMP file
+ */
+export function isBmp(bytes: Uint8Array): boolean {
+  return bytes.length >= 26 && bytes[0] === 0x42 && bytes[1] === 0x4d;
+}
+
+/**
+ * Builds a reader that extracts one channel from a packed pixel via a bit mask
+ */
+function maskReader(mask: number): (value: number) => number {
+  if (mask === 0) {
+    return () => 255;
+  }
+
+  let shift = 0;
+  while (((mask >>> shift) & 1) === 0) shift++;
+  const max = mask >>> shift;
+
+  return (value) => Math.round(((value & mask) >>> shift) * 255 / max);
+}
+
+/**
+ * Decodes a BMP file into RGBA pixels
+ *
+ * Supports 1, 4, 8, 16, 24 and 32 bits per pixel, uncompressed or with bit
+ * field masks, bottom-up and top-down rows. RLE-compressed files are rejected.
+ *
+ * @param input - BMP file contents
+ * @returns Decoded RGBA pixel data
+ * @throws Error if the file is not a valid or supported BMP
+ */
+export function decodeBmp(input: ImageBytes): PixelData {
+  const bytes = toBytes(input);
+
+  if (!isBmp(bytes)) {
+    throw new Error('Not a BMP file');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const pixelOffset = view.getUint32(10, true);
+  const headerSize = view.getUint32(14, true);
+  const isCore = headerSize === CORE_HEADER_SIZE;
+
+  if (!isCore && headerSize < 40) {
+    throw new Error(`Unsupported BMP header size: ${headerSize}`);
+  }
+
+  const width = isCore ? view.getUint16(18, true) : view.getInt32(18, true);
+  const rawHeight = isCore ? view.getInt16(20, true) : view.getInt32(22, true);
+  const bitsPerPixel = isCore ? view.getUint16(24, true) : view.getUint16(28, true);
+  const compression = isCore ? BI_RGB : view.getUint32(30, true);
+  const topDown = rawHeight < 0;
+  const height = Math.abs(rawHeight);
+
+  validateImageSize(width, height, 'BMP');
+
+  if (![1, 4, 8, 16, 24, 32].includes(bitsPerPixel)) {
+    throw new Error(`Unsupported BMP bit depth: ${bitsPerPixel}`);
+  }
+  if (compression !== BI_RGB && compression !== BI_BITFIELDS && compression !== BI_ALPHABITFIELDS) {
+    throw new Error(`Unsupported BMP compression: ${compression}`);
+  }
+
+  const stride = Math.floor((bitsPerPixel * width + 31) / 32) * 4;
+  if (pixelOffset + stride * height > bytes.length) {
+    throw new Error('BMP pixel data is truncated');
+  }
+
+  // Palette follows the header: BGR triples (core) or BGRX quads
+  const paletteStart = 14 + headerSize;
+  const entrySize = isCore ? 3 : 4;
+  const colorsUsed = isCore ? 0 : view.getUint32(46, true);
+  const paletteSize = bitsPerPixel <= 8
+    ? Math.min(colorsUsed || 1 << bitsPerPixel, Math.floor((pixelOffset - paletteStart) / entrySize))
+    : 0;
+  const palette = new Uint8Array(Math.max(0, paletteSize) * 3);
+  for (let i = 0; i < paletteSize; i++) {
+    const at = paletteStart + i * entrySize;
+    palette[i * 3] = bytes[at + 2];
+    palette[i * 3 + 1] = bytes[at + 1];
+    palette[i * 3 + 2] = bytes[at];
+  }
+
+  // Channel masks for 16- and 32-bit pixels; they directly follow the
+  // 40-byte info header in both BITFIELDS files and V4/V5 headers
+  let masks = bitsPerPixel === 16 ? [0x7c00, 0x03e0, 0x001f, 0] : [0x00ff0000, 0x0000ff00, 0x000000ff, 0];
+  if (compression === BI_BITFIELDS || compression === BI_ALPHABITFIELDS) {
+    masks = [view.getUint32(54, true), view.getUint32(58, true), view.getUint32(62, true), 0];
+    if (compression === BI_ALPHABITFIELDS || headerSize >= 56) {
+      masks[3] = view.getUint32(66, true);
+    }
+  }
+  const [readRed, readGreen, readBlue, readAlpha] = masks.map(maskReader);
+
+  const out = new Uint8ClampedArray(width * height * 4);
+  let hasAlpha = false;
+
+  for (let y = 0; y < height; y++) {
+    const row = pixelOffset + (topDown ? y : height - 1 - y) * stride;
+
+    for (let x = 0; x < width; x++) {
+      const to = (y * width + x) * 4;
+
+      if (bitsPerPixel <= 8) {
+        const bit = x * bitsPerPixel;
+        const index = (bytes[row + (bit >> 3)] >> (8 - bitsPerPixel - (bit & 7))) & ((1 << bitsPerPixel) - 1);
+        out[to] = palette[index * 3] ?? 0;
+        out[to + 1] = palette[index * 3 + 1] ?? 0;
+        out[to + 2] = palette[index * 3 + 2] ?? 0;
+        out[to + 3] = 255;
+      } else if (bitsPerPixel === 24) {
+        const at = row + x * 3;
+        out[to] = bytes[at + 2];
+        out[to + 1] = bytes[at + 1];
+        out[to + 2] = bytes[at];
+        out[to + 3] = 255;
+      } else {
+        const value = bitsPerPixel === 16 ? view.getUint16(row + x * 2, true) : view.getUint32(row + x * 4, true);
+        out[to] = readRed(value);
+        out[to + 1] = readGreen(value);
+        out[to + 2] = readBlue(value);
+        out[to + 3] = readAlpha(value);
+        if (masks[3] !== 0 && out[to + 3] !== 0) hasAlpha = true;
+      }
+    }
+  }
+
+  // An alpha mask that is zero everywhere means the channel is unused
+  if (masks[3] !== 0 && !hasAlpha) {
+    for (let i = 3; i < out.length; i += 4) out[i] = 255;
+  }
+
+  return { data: out, width, height };
+}
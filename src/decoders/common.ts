@@ -0,0 +1,93 @@
+/**
+ * Shared helpers for the built-in image decoders
+ * @module decoders/common
+ */
+
+import type { PixelData } from '../types/interfaces';
+
+/** Encoded image file contents */
+export type ImageBytes = ArrayBuffer | Uint8Array;
+
+// Security limits, matching extractPixelData
+const MAX_DIMENSION = 10000;
+const MAX_PIXELS = 25000000; // 5000x5000
+
+/**
+ * Normalizes decoder input to a Uint8Array view (no copy)
+ */
+export function toBytes(input: ImageBytes): Uint8Array {
+  if (input instanceof Uint8Array) {
+    return input;
+  }
+  if (input instanceof ArrayBuffer) {
+    return new Uint8Array(input);
+  }
+  throw new Error('Image bytes must be an ArrayBuffer or Uint8Array');
+}
+
+/**
+ * Validates decoded image dimensions against security limits
+ *
+ * @param width - Image width in pixels
+ * @param height - Image height in pixels
+ * @param format - Format name used in error messages
+ * @throws Error if dimensions are invalid or too large
+ */
+export function validateImageSize(width: number, height: number, format: string): void {
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+    throw new Error(`${format} has invalid dimensions (${width}x${height})`);
+  }
+
+  if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+    throw new Error(`Dimension exceeds maximum allowed (${MAX_DIMENSION})`);
+  }
+
+  if (width * height > MAX_PIXELS) {
+    throw new Error(`Total pixel count exceeds maximum allowed (${MAX_PIXELS})`);
+  }
+}
+
+/**
+ * Applies an EXIF orientation (1-8) so the image displays upright
+ *
+ * @param pixelData - Decoded pixels as stored in the file
+ * @param orientation - EXIF orientation tag value
+ * @returns Upright pixel data (the input itself for orientation 1 or unknown values)
+ */
+export function applyOrientation(pixelData: PixelData, orientation: number): PixelData {
+  if (!(orientation >= 2 && orientation <= 8)) {
+    return pixelData;
+  }
+
+  const { data, width, height } = pixelData;
+  const swap = orientation >= 5;
+  const outWidth = swap ? height : width;
+  const outHeight = swap ? width : height;
+  const out = new Uint8ClampedArray(data.length);
+
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      let sx: number;
+      let sy: number;
+
+      switch (orientation) {
+        case 2: sx = width - 1 - x; sy = y; break;                  // mirror horizontal
+        case 3: sx = width - 1 - x; sy = height - 1 - y; break;     // rotate 180
+        case 4: sx = x; sy = height - 1 - y; break;                 // mirror vertical
+        case 5: sx = y; sy = x; break;                              // transpose
+        case 6: sx = y; sy = height - 1 - x; break;                 // rotate 90 clockwise
+        case 7: sx = width - 1 - y; sy = height - 1 - x; break;     // transverse
+        default: sx = width - 1 - y; sy = x; break;                 // rotate 90 counter-clockwise
+      }
+
+      const from = (sy * width + sx) * 4;
+      const to = (y * outWidth + x) * 4;
+      out[to] = data[from];
+      out[to + 1] = data[from + 1];
+      out[to + 2] = data[from + 2];
+      out[to + 3] = data[from + 3];
+    }
+  }
+
+  return { data: out, width: outWidth, height: outHeight };
+}
@@ -0,0 +1,49 @@
+/**
+ * Format detection for the built-in image decoders
+ * @module decoders/decode
+ */
+
+import type { PixelData } from '../types/interfaces';
+import { toBytes } from './common';
+import type { ImageBytes } from './common';
+import { decodeBmp, isBmp } from './bmp';
+import { decodeGif, isGif } from './gif';
+import { decodeJpeg, isJpeg } from './jpeg';
+import type { JpegDecodeOptions } from './jpeg';
+import { decodePng, isPng } from './png';
+import type { PngDecodeOptions } from './png';
+import { decodePnm, isPnm } from './pnm';
+
+/**
+ * Options accepted by decodeImage, passed on to the matching decoder
+ */
+export interface DecodeImageOptions extends PngDecodeOptions, JpegDecodeOptions {}
+
+/**
+ * Decodes a PNG, JPEG, GIF, BMP or PBM/PGM/PPM file into RGBA pixels
+ *
+ * The format is detected from the file signature, not the file name.
+ * For animated GIFs this returns the first frame; use decodeGif for all frames.
+ *
+ * @param input - File contents
+ * @param options - Decoder options (inflate for PNG, autoOrient for JPEG)
+ * @returns Decoded RGBA pixel data, ready for convertImage
+ * @throws Error if the format is not recognized or the file is invalid
+ *
+ * @example
+ * ```typescript
+ * import { readFileSync } from 'fs';
+ * const ascii = generator.convertImage(decodeImage(readFileSync('photo.jpg')));
+ * ```
+ */
+export function decodeImage(input: ImageBytes, options: DecodeImageOptions = {}): PixelData {
+  const bytes = toBytes(input);
+
+  if (isPng(bytes)) return decodePng(bytes, options);
+  if (isJpeg(bytes)) return decodeJpeg(bytes, options);
+  if (isGif(bytes)) return decodeGif(bytes, { maxFrames: 1 }).frames[0];
+  if (isBmp(bytes)) return decodeBmp(bytes);
+  if (isPnm(bytes)) return decodePnm(bytes);
+
+  throw new Error('Unsupported image format (expected PNG, JPEG, GIF, BMP or PBM/PGM/PPM)');
+}
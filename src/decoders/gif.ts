@@ -0,0 +1,472 @@
+/**
+ * GIF decoder with animation support
+ * @module decoders/gif
+ */
+
+import type { PixelData } from '../types/interfaces';
+import { toBytes, validateImageSize } from './common';
+import type { ImageBytes } from './common';
+
+/**
+ * A fully composited animation frame
+ */
+export interface GifFrame extends PixelData {
+  /** How long the frame is shown, in milliseconds */
+  delay: number;
+}
+
+/**
+ * A decoded GIF
+ */
+export interface GifAnimation {
+  /** Logical screen width */
+  width: number;
+
+  /** Logical screen height */
+  height: number;
+
+  /** Composited frames, each the full logical screen size */
+  frames: GifFrame[];
+
+  /**
+   * NETSCAPE2.0 loop count: 0 loops forever, n repeats n times;
+   * null when the file has no loop extension (play once)
+   */
+  loopCount: number | null;
+}
+
+/**
+ * GIF frames decoded lazily, one at a time, as the stream is iterated
+ * Each iteration decodes the file again from the first frame.
+ */
+export interface GifFrameStream extends Iterable<GifFrame> {
+  /** Logical screen width */
+  readonly width: number;
+
+  /** Logical screen height */
+  readonly height: number;
+
+  /**
+   * NETSCAPE2.0 loop count (see GifAnimation.loopCount)
+   * Set when its extension is read, which normally comes before the first frame
+   */
+  readonly loopCount: number | null;
+}
+
+/**
+ * Options for decoding GIF files
+ */
+export interface GifDecodeOptions {
+  /**
+   * Stop after this many frames
+   * @default Infinity
+   */
+  maxFrames?: number;
+}
+
+/** Delays at or below this (ms) are shown at DEFAULT_DELAY, as browsers do */
+const MIN_DELAY = 10;
+const DEFAULT_DELAY = 100;
+
+/** Limit on the pixels decodeGif keeps across all frames (streamGifFrames has none) */
+const MAX_TOTAL_PIXELS = 100000000;
+
+const MAX_CODE_SIZE = 12;
+const MAX_CODES = 1 << MAX_CODE_SIZE;
+
+/** Interlaced row order as [start, step] passes */
+const INTERLACE_PASSES = [[0, 8], [4, 8], [2, 4], [1, 2]];
+
+/**
+ * Checks whether bytes start with a GIF signature
+ *
+ * @param bytes - File contents
+ * @returns True if the data looks like a GIF file
+ */
+export function isGif(bytes: Uint8Array): boolean {
+  return bytes.length >= 6 && bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46 &&
+    bytes[3] === 0x38 && (bytes[4] === 0x37 || bytes[4] === 0x39) && bytes[5] === 0x61;
+}
+
+/**
+ * Decodes GIF LZW data into color indices
+ *
+ * @param data - Concatenated image data sub-blocks
+ * @param minCodeSize - LZW minimum code size from the image block
+ * @param pixelCount - Number of indices to produce
+ * @returns Color indices; missing trailing pixels are left at 0
+ */
+function decodeLzw(data: Uint8Array, minCodeSize: number, pixelCount: number): Uint8Array {
+  if (minCodeSize < 2 || minCodeSize > 8) {
+    throw new Error(`Invalid GIF LZW code size: ${minCodeSize}`);
+  }
+
+  const out = new Uint8Array(pixelCount);
+  const prefix = new Uint16Array(MAX_CODES);
+  const suffix = new Uint8Array(MAX_CODES);
+  const stack = new Uint8Array(MAX_CODES + 1);
+
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let codeMask = (1 << codeSize) - 1;
+  let nextCode = endCode + 1;
+  let previous = -1;
+  let first = 0;
+
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let pos = 0;
+  let outPos = 0;
+
+  while (outPos < pixelCount) {
+    while (bitCount < codeSize && pos < data.length) {
+      bitBuffer |= data[pos++] << bitCount;
+      bitCount += 8;
+    }
+    if (bitCount < codeSize) break; // data ran out
+
+    let code = bitBuffer & codeMask;
+    bitBuffer >>>= codeSize;
+    bitCount -= codeSize;
+
+    if (code === clearCode) {
+      codeSize = minCodeSize + 1;
+      codeMask = (1 << codeSize) - 1;
+      nextCode = endCode + 1;
+      previous = -1;
+      continue;
+    }
+    if (code === endCode) {
+      break;
+    }
+
+    if (previous === -1) {
+      if (code >= clearCode) break; // corrupt: first code must be a literal
+      out[outPos++] = code;
+      previous = first = code;
+      continue;
+    }
+
+    const current = code;
+    let depth = 0;
+
+    if (code >= nextCode) {
+      if (code > nextCode) break; // corrupt
+      // KwKwK case: the new entry is previous + its own first index
+      stack[depth++] = first;
+      code = previous;
+    }
+    while (code > endCode) {
+      stack[depth++] = suffix[code];
+      code = prefix[code];
+    }
+    first = code;
+    stack[depth++] = first;
+
+    if (nextCode < MAX_CODES) {
+      prefix[nextCode] = previous;
+      suffix[nextCode] = first;
+      nextCode++;
+      if (nextCode > codeMask && codeSize < MAX_CODE_SIZE) {
+        codeSize++;
+        codeMask = (1 << codeSize) - 1;
+      }
+    }
+    previous = current;
+
+    while (depth > 0 && outPos < pixelCount) {
+      out[outPos++] = stack[--depth];
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Reads a little-endian 16-bit value
+ */
+function readUint16(bytes: Uint8Array, at: number): number {
+  return bytes[at] | (bytes[at + 1] << 8);
+}
+
+/**
+ * Decodes and composites frames after the GIF header, yielding each one as it is drawn
+ *
+ * @param bytes - GIF file contents
+ * @param width - Logical screen width
+ * @param height - Logical screen height
+ * @param globalPalette - Global color table, if any
+ * @param start - Offset of the first block after the header and global color table
+ * @param maxFrames - Stop after this many frames
+ * @param onLoopCount - Receives the loop count when its extension is read
+ * @throws Error if a block is invalid, a frame extends past the screen or the file has no frames
+ */
+function* readGifFrames(
+  bytes: Uint8Array,
+  width: number,
+  height: number,
+  globalPalette: Uint8Array | null,
+  start: number,
+  maxFrames: number,
+  onLoopCount: (loopCount: number) => void
+): Generator<GifFrame, void, void> {
+  let pos = start;
+
+  // Reads a chain of data sub-blocks, returning their concatenated contents
+  const readSubBlocks = (): Uint8Array => {
+    const parts: Uint8Array[] = [];
+    let total = 0;
+    while (pos < bytes.length) {
+      const length = bytes[pos++];
+      if (length === 0) break;
+      const part = bytes.subarray(pos, Math.min(pos + length, bytes.length));
+      parts.push(part);
+      total += part.length;
+      pos += length;
+    }
+    if (parts.length === 1) return parts[0];
+
+    const joined = new Uint8Array(total);
+    let offset = 0;
+    for (const part of parts) {
+      joined.set(part, offset);
+      offset += part.length;
+    }
+    return joined;
+  };
+
+  const canvas = new Uint8ClampedArray(width * height * 4);
+  let frameCount = 0;
+
+  // Graphic control extension state for the next image
+  let delay = 0;
+  let disposal = 0;
+  let transparentIndex = -1;
+
+  // Disposal of the previous frame, applied before drawing the next one
+  let pendingDisposal = 0;
+  let previousRect = [0, 0, 0, 0];
+  let savedCanvas: Uint8ClampedArray | null = null;
+
+  while (pos < bytes.length && frameCount < maxFrames) {
+    const block = bytes[pos++];
+
+    if (block === 0x3b) {
+      break; // trailer
+    }
+
+    if (block === 0x21) {
+      const label = bytes[pos++];
+
+      if (label === 0xf9 && bytes[pos] >= 4) {
+        const flags = bytes[pos + 1];
+        disposal = (flags >> 2) & 7;
+        delay = readUint16(bytes, pos + 2) * 10;
+        transparentIndex = flags & 1 ? bytes[pos + 4] : -1;
+        pos += bytes[pos] + 1;
+        readSubBlocks();
+      } else if (label === 0xff) {
+        const application = readSubBlocks();
+        const identifier = String.fromCharCode(...application.subarray(0, 11));
+        if ((identifier === 'NETSCAPE2.0' || identifier === 'ANIMEXTS1.0') && application[11] === 1) {
+          onLoopCount(application[12] | (application[13] << 8));
+        }
+      } else {
+        readSubBlocks();
+      }
+      continue;
+    }
+
+    if (block !== 0x2c) {
+      throw new Error(`Invalid GIF block: 0x${block.toString(16)}`);
+    }
+
+    // Image descriptor
+    const left = readUint16(bytes, pos);
+    const top = readUint16(bytes, pos + 2);
+    const frameWidth = readUint16(bytes, pos + 4);
+    const frameHeight = readUint16(bytes, pos + 6);
+    const imageFlags = bytes[pos + 8];
+    pos += 9;
+
+    // Frames inside the screen stay within its size limits, so decoding them is bounded
+    if (left + frameWidth > width || top + frameHeight > height) {
+      throw new Error(
+        `GIF frame ${frameCount} (${frameWidth}x${frameHeight} at ${left},${top}) extends past the ${width}x${height} screen`
+      );
+    }
+
+    let palette = globalPalette;
+    if (imageFlags & 0x80) {
+      const size = 3 << ((imageFlags & 7) + 1);
+      palette = bytes.subarray(pos, pos + size);
+      pos += size;
+    }
+    if (!palette) {
+      throw new Error('GIF frame has no color table');
+    }
+
+    const minCodeSize = bytes[pos++];
+    const indices = decodeLzw(readSubBlocks(), minCodeSize, frameWidth * frameHeight);
+
+    // Dispose of the previous frame
+    if (pendingDisposal === 2) {
+      const [x0, y0, w, h] = previousRect;
+      for (let y = Math.max(0, y0); y < Math.min(height, y0 + h); y++) {
+        canvas.fill(0, (y * width + Math.max(0, x0)) * 4, (y * width + Math.min(width, x0 + w)) * 4);
+      }
+    } else if (pendingDisposal === 3 && savedCanvas) {
+      canvas.set(savedCanvas);
+    }
+
+    savedCanvas = disposal === 3 ? canvas.slice() : null;
+
+    // Draw the frame, mapping interlaced rows to their real position
+    const rowOrder: number[] = [];
+    if (imageFlags & 0x40) {
+      for (const [start, step] of INTERLACE_PASSES) {
+        for (let y = start; y < frameHeight; y += step) rowOrder.push(y);
+      }
+    }
+
+    for (let row = 0; row < frameHeight; row++) {
+      const y = top + (rowOrder.length > 0 ? rowOrder[row] : row);
+
+      for (let x = 0; x < frameWidth; x++) {
+        const canvasX = left + x;
+        const index = indices[row * frameWidth + x];
+        if (index === transparentIndex || index * 3 + 2 >= palette.length) continue;
+
+        const to = (y * width + canvasX) * 4;
+        canvas[to] = palette[index * 3];
+        canvas[to + 1] = palette[index * 3 + 1];
+        canvas[to + 2] = palette[index * 3 + 2];
+        canvas[to + 3] = 255;
+      }
+    }
+
+    frameCount++;
+    yield {
+      data: canvas.slice(),
+      width,
+      height,
+      delay: delay <= MIN_DELAY ? DEFAULT_DELAY : delay
+    };
+
+    pendingDisposal = disposal;
+    previousRect = [left, top, frameWidth, frameHeight];
+
+    // Control extension values apply to one image only
+    delay = 0;
+    disposal = 0;
+    transparentIndex = -1;
+  }
+
+  if (frameCount === 0) {
+    throw new Error('GIF has no frames');
+  }
+}
+
+/**
+ * Decodes a GIF file lazily, one composited frame at a time
+ *
+ * Only the frame being drawn (plus a saved copy for "restore to previous")
+ * is held by the decoder, so memory does not grow with the number of frames.
+ * Each yielded frame has its own pixel buffer, which the consumer may keep or
+ * drop. Compositing, transparency and delays follow decodeGif.
+ *
+ * @param input - GIF file contents
+ * @param options - Frame limit
+ * @returns Iterable of frames with the screen size and loop count
+ * @throws Error if the header is invalid or the screen exceeds the size limits;
+ *   errors in later blocks are thrown while iterating
+ *
+ * @example
+ * ```typescript
+ * const stream = streamGifFrames(readFileSync('long-clip.gif'));
+ * for (const frame of stream) {
+ *   process.stdout.write(renderAnsi(generator.convertImage(frame)));
+ * }
+ * ```
+ */
+export function streamGifFrames(input: ImageBytes, options: GifDecodeOptions = {}): GifFrameStream {
+  const bytes = toBytes(input);
+  const { maxFrames = Infinity } = options;
+
+  if (!isGif(bytes)) {
+    throw new Error('Not a GIF file');
+  }
+  if (bytes.length < 13) {
+    throw new Error('GIF header is truncated');
+  }
+
+  // Frames are composited on a screen-sized canvas, so the per-image limits apply to it
+  const width = readUint16(bytes, 6);
+  const height = readUint16(bytes, 8);
+  validateImageSize(width, height, 'GIF');
+
+  const screenFlags = bytes[10];
+  let start = 13;
+  let globalPalette: Uint8Array | null = null;
+  if (screenFlags & 0x80) {
+    const size = 3 << ((screenFlags & 7) + 1);
+    globalPalette = bytes.subarray(start, start + size);
+    start += size;
+  }
+
+  const stream = {
+    width,
+    height,
+    loopCount: null as number | null,
+    [Symbol.iterator]: (): Iterator<GifFrame> => readGifFrames(
+      bytes,
+      width,
+      height,
+      globalPalette,
+      start,
+      maxFrames,
+      (loopCount) => { stream.loopCount = loopCount; }
+    )
+  };
+  return stream;
+}
+
+/**
+ * Decodes a GIF file into composited frames with their delays
+ *
+ * Frames are composited onto the logical screen following each frame's
+ * disposal method (none/keep, restore to background, restore to previous)
+ * and transparent color index. Areas never painted, or cleared by "restore
+ * to background", are fully transparent, as in browsers. Delays of 10 ms or
+ * less are reported as 100 ms, matching browser playback.
+ *
+ * Every frame is kept in memory, so all frames together are limited to
+ * 100 million pixels; use streamGifFrames to process long animations, or
+ * untrusted files, one frame at a time.
+ *
+ * @param input - GIF file contents
+ * @param options - Frame limit
+ * @returns Screen size, loop count and composited frames
+ * @throws Error if the file is not a valid GIF, a frame extends past the
+ *   screen, or the screen or total frame pixels exceed the size limits
+ *
+ * @example
+ * ```typescript
+ * const { frames } = decodeGif(readFileSync('reaction.gif'));
+ * const first = generator.convertImage(frames[0]);
+ * ```
+ */
+export function decodeGif(input: ImageBytes, options: GifDecodeOptions = {}): GifAnimation {
+  const stream = streamGifFrames(input, options);
+  const frames: GifFrame[] = [];
+
+  for (const frame of stream) {
+    if ((frames.length + 1) * stream.width * stream.height > MAX_TOTAL_PIXELS) {
+      throw new Error(`GIF animation exceeds maximum total decoded pixels (${MAX_TOTAL_PIXELS})`);
+    }
+    frames.push(frame);
+  }
+
+  return { width: stream.width, height: stream.height, frames, loopCount: stream.loopCount };
+}
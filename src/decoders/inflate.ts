@@ -0,0 +1,299 @@
+/**
+ * DEFLATE / zlib decompression (RFC 1950, RFC 1951)
+ * Small built-in implementation with an optional Node.js zlib fast path
+ * @module decoders/inflate
+ */
+
+/**
+ * Decompresses a zlib stream; receives the compressed bytes
+ */
+export type InflateFunction = (data: Uint8Array) => Uint8Array;
+
+const MAX_BITS = 15;
+
+/** Base lengths and extra bits for length codes 257-285 */
+const LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+  35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258
+];
+const LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+  3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0
+];
+
+/** Base distances and extra bits for distance codes 0-29 */
+const DISTANCE_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+  257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577
+];
+const DISTANCE_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+  7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13
+];
+
+/** Order in which code length code lengths are stored */
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/**
+ * Canonical Huffman table: code counts per length and symbols in code order
+ */
+interface Huffman {
+  counts: Uint16Array;
+  symbols: Uint16Array;
+}
+
+/**
+ * Builds a canonical Huffman table from per-symbol code lengths
+ */
+function buildHuffman(lengths: ArrayLike<number>): Huffman {
+  const counts = new Uint16Array(MAX_BITS + 1);
+  const symbols = new Uint16Array(lengths.length);
+  const offsets = new Uint16Array(MAX_BITS + 2);
+
+  for (let i = 0; i < lengths.length; i++) {
+    counts[lengths[i]]++;
+  }
+  counts[0] = 0;
+
+  for (let len = 1; len <= MAX_BITS; len++) {
+    offsets[len + 1] = offsets[len] + counts[len];
+  }
+  for (let i = 0; i < lengths.length; i++) {
+    if (lengths[i] !== 0) {
+      symbols[offsets[lengths[i]]++] = i;
+    }
+  }
+
+  return { counts, symbols };
+}
+
+const FIXED_LITERALS = buildHuffman(
+  Array.from({ length: 288 }, (_, i) => (i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8))
+);
+const FIXED_DISTANCES = buildHuffman(new Array(30).fill(5));
+
+/**
+ * Inflates a raw DEFLATE stream
+ *
+ * @param data - Compressed bytes
+ * @param expectedSize - Expected output size, used to size the buffer up front
+ * @param maxSize - Maximum output size; larger streams are rejected
+ * @returns Decompressed bytes
+ * @throws Error if the stream is corrupt or exceeds maxSize
+ */
+export function inflateRaw(data: Uint8Array, expectedSize: number = 0, maxSize: number = Infinity): Uint8Array {
+  let out = new Uint8Array(Math.max(1024, Math.min(expectedSize || data.length * 4, maxSize)));
+  let outPos = 0;
+  let pos = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const bits = (n: number): number => {
+    while (bitCount < n) {
+      if (pos >= data.length) {
+        throw new Error('Unexpected end of compressed data');
+      }
+      bitBuffer |= data[pos++] << bitCount;
+      bitCount += 8;
+    }
+    const value = bitBuffer & ((1 << n) - 1);
+    bitBuffer >>>= n;
+    bitCount -= n;
+    return value;
+  };
+
+  const decode = (table: Huffman): number => {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+
+    for (let len = 1; len <= MAX_BITS; len++) {
+      code |= bits(1);
+      const count = table.counts[len];
+      if (code - first < count) {
+        return table.symbols[index + code - first];
+      }
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+
+    throw new Error('Invalid Huffman code in compressed data');
+  };
+
+  const ensure = (extra: number): void => {
+    const needed = outPos + extra;
+    if (needed > maxSize) {
+      throw new Error('Decompressed data exceeds the expected size');
+    }
+    if (needed > out.length) {
+      const grown = new Uint8Array(Math.min(maxSize, Math.max(needed, out.length * 2)));
+      grown.set(out);
+      out = grown;
+    }
+  };
+
+  let last = 0;
+  while (!last) {
+    last = bits(1);
+    const type = bits(2);
+
+    if (type === 0) {
+      // Stored block: byte aligned length, its complement, then raw bytes
+      bitBuffer = 0;
+      bitCount = 0;
+      if (pos + 4 > data.length) {
+        throw new Error('Unexpected end of compressed data');
+      }
+      const length = data[pos] | (data[pos + 1] << 8);
+      const complement = data[pos + 2] | (data[pos + 3] << 8);
+      pos += 4;
+      if (length !== (~complement & 0xffff) || pos + length > data.length) {
+        throw new Error('Invalid stored block in compressed data');
+      }
+      ensure(length);
+      out.set(data.subarray(pos, pos + length), outPos);
+      outPos += length;
+      pos += length;
+      continue;
+    }
+
+    let literals: Huffman;
+    let distances: Huffman;
+
+    if (type === 1) {
+      literals = FIXED_LITERALS;
+      distances = FIXED_DISTANCES;
+    } else if (type === 2) {
+      const literalCount = bits(5) + 257;
+      const distanceCount = bits(5) + 1;
+      const codeLengthCount = bits(4) + 4;
+      const codeLengths = new Uint8Array(19);
+
+      for (let i = 0; i < codeLengthCount; i++) {
+        codeLengths[CODE_LENGTH_ORDER[i]] = bits(3);
+      }
+
+      const codeLengthTable = buildHuffman(codeLengths);
+      const lengths = new Uint8Array(literalCount + distanceCount);
+
+      for (let i = 0; i < lengths.length;) {
+        const symbol = decode(codeLengthTable);
+        if (symbol < 16) {
+          lengths[i++] = symbol;
+          continue;
+        }
+
+        let repeat: number;
+        let value = 0;
+        if (symbol === 16) {
+          if (i === 0) throw new Error('Invalid code lengths in compressed data');
+          value = lengths[i - 1];
+          repeat = 3 + bits(2);
+        } else if (symbol === 17) {
+          repeat = 3 + bits(3);
+        } else {
+          repeat = 11 + bits(7);
+        }
+
+        if (i + repeat > lengths.length) {
+          throw new Error('Invalid code lengths in compressed data');
+        }
+        lengths.fill(value, i, i + repeat);
+        i += repeat;
+      }
+
+      literals = buildHuffman(lengths.subarray(0, literalCount));
+      distances = buildHuffman(lengths.subarray(literalCount));
+    } else {
+      throw new Error('Invalid block type in compressed data');
+    }
+
+    for (;;) {
+      const symbol = decode(literals);
+
+      if (symbol < 256) {
+        ensure(1);
+        out[outPos++] = symbol;
+        continue;
+      }
+      if (symbol === 256) {
+        break;
+      }
+
+      const lengthIndex = symbol - 257;
+      if (lengthIndex >= LENGTH_BASE.length) {
+        throw new Error('Invalid length code in compressed data');
+      }
+      const length = LENGTH_BASE[lengthIndex] + bits(LENGTH_EXTRA[lengthIndex]);
+
+      const distanceIndex = decode(distances);
+      if (distanceIndex >= DISTANCE_BASE.length) {
+        throw new Error('Invalid distance code in compressed data');
+      }
+      const distance = DISTANCE_BASE[distanceIndex] + bits(DISTANCE_EXTRA[distanceIndex]);
+      if (distance > outPos) {
+        throw new Error('Invalid back-reference in compressed data');
+      }
+
+      ensure(length);
+      // Byte by byte: the copy may overlap the bytes it produces
+      for (let i = 0; i < length; i++, outPos++) {
+        out[outPos] = out[outPos - distance];
+      }
+    }
+  }
+
+  return out.subarray(0, outPos);
+}
+
+/**
+ * Returns Node.js zlib's inflateSync when running in Node.js
+ */
+function getNodeInflate(maxOutputLength?: number): InflateFunction | null {
+  const nodeProcess = (globalThis as {
+    process?: { getBuiltinModule?: (id: string) => unknown };
+  }).process;
+
+  try {
+    const zlib = nodeProcess?.getBuiltinModule?.('node:zlib') as {
+      inflateSync?: (data: Uint8Array, options?: { maxOutputLength?: number }) => Uint8Array;
+    } | undefined;
+    const inflateSync = zlib?.inflateSync;
+    return inflateSync ? (data) => inflateSync(data, maxOutputLength ? { maxOutputLength } : undefined) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Inflates a zlib stream (2-byte header, DEFLATE data, Adler-32 checksum)
+ *
+ * Uses the supplied inflate function, or Node.js zlib when available, and
+ * falls back to the built-in decoder everywhere else.
+ *
+ * @param data - zlib-wrapped compressed bytes
+ * @param expectedSize - Expected output size; larger output is rejected
+ * @param inflate - Optional external zlib inflate (e.g. zlib.inflateSync)
+ * @returns Decompressed bytes
+ * @throws Error if the stream is corrupt or larger than expected
+ */
+export function inflateZlib(data: Uint8Array, expectedSize?: number, inflate?: InflateFunction): Uint8Array {
+  const external = inflate ?? getNodeInflate(expectedSize);
+  if (external) {
+    const result = external(data);
+    if (expectedSize !== undefined && result.length > expectedSize) {
+      throw new Error('Decompressed data exceeds the expected size');
+    }
+    return result;
+  }
+
+  if (data.length < 2 || (data[0] & 0x0f) !== 8 || ((data[0] << 8) | data[1]) % 31 !== 0) {
+    throw new Error('Invalid zlib header');
+  }
+  if (data[1] & 0x20) {
+    throw new Error('zlib preset dictionaries are not supported');
+  }
+
+  return inflateRaw(data.subarray(2), expectedSize, expectedSize ?? Infinity);
+}
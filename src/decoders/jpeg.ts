@@ -0,0 +1,538 @@
+/**
+ * Baseline JPEG decoder
+ * @module decoders/jpeg
+ */
+
+import type { PixelData } from '../types/interfaces';
+import { applyOrientation, toBytes, validateImageSize } from './common';
+import type { ImageBytes } from './common';
+
+/**
+ * Options for decoding JPEG files
+ */
+export interface JpegDecodeOptions {
+  /**
+   * Rotate/flip the image according to its EXIF orientation tag
+   * @default true
+   */
+  autoOrient?: boolean;
+}
+
+/** Zigzag scan order: coefficient k is stored at ZIGZAG[k] in natural order */
+const ZIGZAG = new Uint8Array([
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+]);
+
+/** IDCT basis: IDCT_TABLE[x * 8 + u] = C(u) * cos((2x + 1) * u * PI / 16) / 2 */
+const IDCT_TABLE = new Float32Array(64);
+for (let x = 0; x < 8; x++) {
+  for (let u = 0; u < 8; u++) {
+    IDCT_TABLE[x * 8 + u] = (u === 0 ? Math.SQRT1_2 : 1) * Math.cos((2 * x + 1) * u * Math.PI / 16) / 2;
+  }
+}
+
+/**
+ * Huffman table in the form used by the JPEG specification's DECODE procedure
+ */
+interface HuffmanTable {
+  maxCode: Int32Array;
+  valuePointer: Int32Array;
+  minCode: Int32Array;
+  values: Uint8Array;
+}
+
+/**
+ * One color component of the frame and its decoded sample plane
+ */
+interface Component {
+  id: number;
+  h: number;
+  v: number;
+  quantTable: number;
+  blocksPerLine: number;
+  blocksPerColumn: number;
+  planeWidth: number;
+  plane: Uint8Array;
+  dcTable: number;
+  acTable: number;
+  predictor: number;
+}
+
+/**
+ * Checks whether bytes start with a JPEG start-of-image marker
+ *
+ * @param bytes - File contents
+ * @returns True if the data looks like a JPEG file
+ */
+export function isJpeg(bytes: Uint8Array): boolean {
+  return bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff;
+}
+
+/**
+ * Builds a Huffman table from the DHT code counts and symbol values
+ */
+function buildHuffmanTable(counts: Uint8Array, values: Uint8Array): HuffmanTable {
+  const maxCode = new Int32Array(17).fill(-1);
+  const valuePointer = new Int32Array(17);
+  const minCode = new Int32Array(17);
+  let code = 0;
+  let index = 0;
+
+  for (let length = 1; length <= 16; length++) {
+    const count = counts[length - 1];
+    if (count > 0) {
+      valuePointer[length] = index;
+      minCode[length] = code;
+      code += count;
+      index += count;
+      maxCode[length] = code - 1;
+    }
+    code <<= 1;
+  }
+
+  return { maxCode, valuePointer, minCode, values };
+}
+
+/**
+ * Reads the orientation tag (0x0112) from an APP1 EXIF segment
+ *
+ * @returns Orientation value, or 1 if absent
+ */
+function readExifOrientation(segment: Uint8Array): number {
+  // "Exif\0\0" followed by a TIFF header
+  if (segment.length < 14 || String.fromCharCode(...segment.subarray(0, 4)) !== 'Exif') {
+    return 1;
+  }
+
+  const tiff = segment.subarray(6);
+  const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+  const littleEndian = tiff[0] === 0x49 && tiff[1] === 0x49;
+  if (!littleEndian && !(tiff[0] === 0x4d && tiff[1] === 0x4d)) {
+    return 1;
+  }
+
+  const ifd = view.getUint32(4, littleEndian);
+  if (ifd + 2 > tiff.length) {
+    return 1;
+  }
+
+  const entries = view.getUint16(ifd, littleEndian);
+  for (let i = 0; i < entries; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > tiff.length) break;
+    if (view.getUint16(entry, littleEndian) === 0x0112) {
+      return view.getUint16(entry + 8, littleEndian);
+    }
+  }
+
+  return 1;
+}
+
+/**
+ * Inverse DCT of one dequantized block, written into a component plane
+ */
+function idctBlock(block: Float32Array, plane: Uint8Array, planeWidth: number, offset: number, temp: Float32Array): void {
+  // Rows: temp[v][x] = sum over u of F[v][u] * basis(x, u)
+  for (let v = 0; v < 8; v++) {
+    for (let x = 0; x < 8; x++) {
+      let sum = 0;
+      for (let u = 0; u < 8; u++) {
+        sum += block[v * 8 + u] * IDCT_TABLE[x * 8 + u];
+      }
+      temp[v * 8 + x] = sum;
+    }
+  }
+
+  // Columns, then level shift and clamp
+  for (let x = 0; x < 8; x++) {
+    for (let y = 0; y < 8; y++) {
+      let sum = 0;
+      for (let v = 0; v < 8; v++) {
+        sum += temp[v * 8 + x] * IDCT_TABLE[y * 8 + v];
+      }
+      const value = Math.round(sum + 128);
+      plane[offset + y * planeWidth + x] = value < 0 ? 0 : value > 255 ? 255 : value;
+    }
+  }
+}
+
+/**
+ * Decodes a baseline (sequential, Huffman-coded) JPEG file into RGBA pixels
+ *
+ * Supports greyscale and YCbCr/RGB images with any chroma subsampling and
+ * restart markers. Progressive and arithmetic-coded files are rejected. The
+ * EXIF orientation tag is applied unless `autoOrient` is false.
+ *
+ * @param input - JPEG file contents
+ * @param options - Decoding options
+ * @returns Decoded RGBA pixel data
+ * @throws Error if the file is not a valid or supported JPEG
+ *
+ * @example
+ * ```typescript
+ * import { readFileSync } from 'fs';
+ * const pixels = decodeJpeg(readFileSync('photo.jpg'));
+ * const ascii = generator.convertImage(pixels);
+ * ```
+ */
+export function decodeJpeg(input: ImageBytes, options: JpegDecodeOptions = {}): PixelData {
+  const bytes = toBytes(input);
+
+  if (!isJpeg(bytes)) {
+    throw new Error('Not a JPEG file');
+  }
+
+  const quantTables: Uint16Array[] = [];
+  const dcTables: HuffmanTable[] = [];
+  const acTables: HuffmanTable[] = [];
+  let components: Component[] = [];
+  let width = 0;
+  let height = 0;
+  let maxH = 1;
+  let maxV = 1;
+  let mcusPerLine = 0;
+  let mcusPerColumn = 0;
+  let restartInterval = 0;
+  let orientation = 1;
+  let adobeTransform = -1;
+  let frameSeen = false;
+
+  const block = new Float32Array(64);
+  const temp = new Float32Array(64);
+
+  /**
+   * Decodes the entropy-coded data of one scan starting at `start`
+   * @returns Position just after the scan data
+   */
+  const decodeScan = (start: number, scanComponents: Component[]): number => {
+    let pos = start;
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const readBit = (): number => {
+      if (bitCount === 0) {
+        let byte = 0;
+        if (pos < bytes.length) {
+          byte = bytes[pos];
+          if (byte === 0xff) {
+            const next = bytes[pos + 1];
+            if (next === 0x00) {
+              pos += 2; // stuffed byte
+            } else {
+              byte = 0; // hit a marker: pad with zeros
+            }
+          } else {
+            pos++;
+          }
+        }
+        bitBuffer = byte;
+        bitCount = 8;
+      }
+      bitCount--;
+      return (bitBuffer >> bitCount) & 1;
+    };
+
+    const receive = (length: number): number => {
+      let value = 0;
+      for (let i = 0; i < length; i++) {
+        value = (value << 1) | readBit();
+      }
+      return value;
+    };
+
+    // Sign-extends a received value of the given bit length
+    const extend = (value: number, length: number): number =>
+      value < 1 << (length - 1) ? value - (1 << length) + 1 : value;
+
+    const decodeHuffman = (table: HuffmanTable): number => {
+      let code = 0;
+      for (let length = 1; length <= 16; length++) {
+        code = (code << 1) | readBit();
+        if (code <= table.maxCode[length]) {
+          return table.values[table.valuePointer[length] + code - table.minCode[length]];
+        }
+      }
+      throw new Error('Invalid Huffman code in JPEG data');
+    };
+
+    const decodeBlock = (component: Component, row: number, col: number): void => {
+      const dc = dcTables[component.dcTable];
+      const ac = acTables[component.acTable];
+      const quant = quantTables[component.quantTable];
+      if (!dc || !ac || !quant) {
+        throw new Error('JPEG scan references a missing Huffman or quantization table');
+      }
+
+      block.fill(0);
+      const dcLength = decodeHuffman(dc);
+      component.predictor += dcLength === 0 ? 0 : extend(receive(dcLength), dcLength);
+      block[0] = component.predictor * quant[0];
+
+      for (let k = 1; k < 64;) {
+        const symbol = decodeHuffman(ac);
+        const size = symbol & 15;
+        const run = symbol >> 4;
+
+        if (size === 0) {
+          if (run < 15) break; // end of block
+          k += 16;
+          continue;
+        }
+
+        k += run;
+        if (k > 63) break;
+        const index = ZIGZAG[k];
+        block[index] = extend(receive(size), size) * quant[index];
+        k++;
+      }
+
+      // Blocks in the padding beyond the plane are decoded but discarded
+      if (row < component.blocksPerColumn && col < component.blocksPerLine) {
+        idctBlock(block, component.plane, component.planeWidth, row * 8 * component.planeWidth + col * 8, temp);
+      }
+    };
+
+    const single = scanComponents.length === 1;
+    const first = scanComponents[0];
+    // A non-interleaved scan covers only the component's own blocks
+    const unitsPerLine = single ? Math.ceil(Math.ceil(width * first.h / maxH) / 8) : mcusPerLine;
+    const unitsPerColumn = single ? Math.ceil(Math.ceil(height * first.v / maxV) / 8) : mcusPerColumn;
+    const total = unitsPerLine * unitsPerColumn;
+
+    for (const component of scanComponents) component.predictor = 0;
+
+    for (let unit = 0; unit < total; unit++) {
+      if (restartInterval && unit > 0 && unit % restartInterval === 0) {
+        // Byte-align, consume the RSTn marker and reset DC predictors
+        bitCount = 0;
+        while (pos < bytes.length && !(bytes[pos] === 0xff && bytes[pos + 1] >= 0xd0 && bytes[pos + 1] <= 0xd7)) pos++;
+        pos += 2;
+        for (const component of scanComponents) component.predictor = 0;
+      }
+
+      const unitRow = Math.floor(unit / unitsPerLine);
+      const unitCol = unit % unitsPerLine;
+
+      if (single) {
+        decodeBlock(first, unitRow, unitCol);
+        continue;
+      }
+
+      for (const component of scanComponents) {
+        for (let by = 0; by < component.v; by++) {
+          for (let bx = 0; bx < component.h; bx++) {
+            decodeBlock(component, unitRow * component.v + by, unitCol * component.h + bx);
+          }
+        }
+      }
+    }
+
+    // Skip to the next marker that is not a stuffed byte or restart marker
+    while (pos < bytes.length &&
+      !(bytes[pos] === 0xff && bytes[pos + 1] !== 0x00 && !(bytes[pos + 1] >= 0xd0 && bytes[pos + 1] <= 0xd7))) {
+      pos++;
+    }
+    return pos;
+  };
+
+  let pos = 2;
+  while (pos + 1 < bytes.length) {
+    if (bytes[pos] !== 0xff) {
+      pos++;
+      continue;
+    }
+
+    const marker = bytes[pos + 1];
+    pos += 2;
+
+    if (marker === 0xff) {
+      pos--; // fill byte
+      continue;
+    }
+    if (marker === 0xd9) {
+      break; // EOI
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+      continue; // markers without a payload
+    }
+
+    if (pos + 2 > bytes.length) {
+      throw new Error('Truncated JPEG segment');
+    }
+    const length = (bytes[pos] << 8) | bytes[pos + 1];
+    if (length < 2 || pos + length > bytes.length) {
+      throw new Error('Truncated JPEG segment');
+    }
+    const segment = bytes.subarray(pos + 2, pos + length);
+    const segmentEnd = pos + length;
+
+    switch (marker) {
+      case 0xe1: // APP1: EXIF
+        if (orientation === 1) orientation = readExifOrientation(segment);
+        break;
+
+      case 0xee: // APP14: Adobe color transform flag
+        if (segment.length >= 12 && String.fromCharCode(...segment.subarray(0, 5)) === 'Adobe') {
+          adobeTransform = segment[11];
+        }
+        break;
+
+      case 0xdb: // DQT
+        for (let i = 0; i < segment.length;) {
+          const precision = segment[i] >> 4;
+          const id = segment[i++] & 15;
+          const table = new Uint16Array(64);
+          for (let k = 0; k < 64; k++) {
+            table[ZIGZAG[k]] = precision ? (segment[i + k * 2] << 8) | segment[i + k * 2 + 1] : segment[i + k];
+          }
+          quantTables[id] = table;
+          i += precision ? 128 : 64;
+        }
+        break;
+
+      case 0xc4: // DHT
+        for (let i = 0; i < segment.length;) {
+          const tableClass = segment[i] >> 4;
+          const id = segment[i++] & 15;
+          const counts = segment.subarray(i, i + 16);
+          const total = counts.reduce((sum, count) => sum + count, 0);
+          const table = buildHuffmanTable(counts, segment.slice(i + 16, i + 16 + total));
+          (tableClass === 0 ? dcTables : acTables)[id] = table;
+          i += 16 + total;
+        }
+        break;
+
+      case 0xdd: // DRI
+        restartInterval = (segment[0] << 8) | segment[1];
+        break;
+
+      case 0xc0: // SOF0: baseline
+      case 0xc1: { // SOF1: extended sequential, Huffman
+        if (frameSeen) {
+          throw new Error('JPEG has more than one frame');
+        }
+        frameSeen = true;
+
+        if (segment[0] !== 8) {
+          throw new Error(`Unsupported JPEG sample precision: ${segment[0]}`);
+        }
+        height = (segment[1] << 8) | segment[2];
+        width = (segment[3] << 8) | segment[4];
+        validateImageSize(width, height, 'JPEG');
+
+        const count = segment[5];
+        if (count !== 1 && count !== 3) {
+          throw new Error(`Unsupported JPEG component count: ${count}`);
+        }
+
+        components = [];
+        for (let i = 0; i < count; i++) {
+          const at = 6 + i * 3;
+          const h = segment[at + 1] >> 4;
+          const v = segment[at + 1] & 15;
+          if (h < 1 || h > 4 || v < 1 || v > 4) {
+            throw new Error('Invalid JPEG sampling factors');
+          }
+          components.push({
+            id: segment[at], h, v, quantTable: segment[at + 2],
+            blocksPerLine: 0, blocksPerColumn: 0, planeWidth: 0, plane: new Uint8Array(0),
+            dcTable: 0, acTable: 0, predictor: 0
+          });
+        }
+
+        maxH = Math.max(...components.map(c => c.h));
+        maxV = Math.max(...components.map(c => c.v));
+        mcusPerLine = Math.ceil(width / (8 * maxH));
+        mcusPerColumn = Math.ceil(height / (8 * maxV));
+
+        for (const component of components) {
+          component.blocksPerLine = mcusPerLine * component.h;
+          component.blocksPerColumn = mcusPerColumn * component.v;
+          component.planeWidth = component.blocksPerLine * 8;
+          component.plane = new Uint8Array(component.planeWidth * component.blocksPerColumn * 8);
+        }
+        break;
+      }
+
+      case 0xc2:
+      case 0xc6:
+      case 0xca:
+      case 0xce:
+        throw new Error('Progressive JPEG is not supported');
+
+      case 0xc3: case 0xc5: case 0xc7:
+      case 0xc9: case 0xcb: case 0xcd: case 0xcf:
+        throw new Error('Lossless, hierarchical and arithmetic-coded JPEGs are not supported');
+
+      case 0xda: { // SOS
+        if (!frameSeen) {
+          throw new Error('JPEG scan appears before the frame header');
+        }
+
+        const scanComponents: Component[] = [];
+        for (let i = 0; i < segment[0]; i++) {
+          const component = components.find(c => c.id === segment[1 + i * 2]);
+          if (!component) {
+            throw new Error('JPEG scan references an unknown component');
+          }
+          component.dcTable = segment[2 + i * 2] >> 4;
+          component.acTable = segment[2 + i * 2] & 15;
+          scanComponents.push(component);
+        }
+
+        pos = decodeScan(segmentEnd, scanComponents);
+        continue;
+      }
+    }
+
+    pos = segmentEnd;
+  }
+
+  if (!frameSeen) {
+    throw new Error('JPEG has no frame header');
+  }
+
+  // Upsample (nearest neighbor) and convert to RGB
+  const out = new Uint8ClampedArray(width * height * 4);
+  const isRgb = adobeTransform === 0 ||
+    (adobeTransform === -1 && components.length === 3 &&
+      components[0].id === 0x52 && components[1].id === 0x47 && components[2].id === 0x42);
+
+  const offsets = components.map(() => 0);
+  for (let y = 0; y < height; y++) {
+    for (let i = 0; i < components.length; i++) {
+      const component = components[i];
+      offsets[i] = Math.floor(y * component.v / maxV) * component.planeWidth;
+    }
+
+    for (let x = 0; x < width; x++) {
+      const to = (y * width + x) * 4;
+      const first = components[0];
+      const c0 = first.plane[offsets[0] + Math.floor(x * first.h / maxH)];
+
+      if (components.length === 1) {
+        out[to] = out[to + 1] = out[to + 2] = c0;
+      } else {
+        const c1 = components[1].plane[offsets[1] + Math.floor(x * components[1].h / maxH)];
+        const c2 = components[2].plane[offsets[2] + Math.floor(x * components[2].h / maxH)];
+
+        if (isRgb) {
+          out[to] = c0;
+          out[to + 1] = c1;
+          out[to + 2] = c2;
+        } else {
+          out[to] = c0 + 1.402 * (c2 - 128);
+          out[to + 1] = c0 - 0.344136 * (c1 - 128) - 0.714136 * (c2 - 128);
+          out[to + 2] = c0 + 1.772 * (c1 - 128);
+        }
+      }
+      out[to + 3] = 255;
+    }
+  }
+
+  const pixelData: PixelData = { data: out, width, height };
+  return options.autoOrient === false ? pixelData : applyOrientation(pixelData, orientation);
+}
@@ -0,0 +1,278 @@
+/**
+ * PNG decoder
+ * @module decoders/png
+ */
+
+import type { PixelData } from '../types/interfaces';
+import { toBytes, validateImageSize } from './common';
+import type { ImageBytes } from './common';
+import { inflateZlib } from './inflate';
+import type { InflateFunction } from './inflate';
+
+/**
+ * Options for decoding PNG files
+ */
+export interface PngDecodeOptions {
+  /**
+   * External zlib inflate, e.g. `zlib.inflateSync`
+   * Defaults to Node.js zlib when available, otherwise the built-in decoder
+   */
+  inflate?: InflateFunction;
+}
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/** Channels per pixel for each PNG color type */
+const CHANNELS: Record<number, number> = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/** Allowed bit depths for each PNG color type */
+const BIT_DEPTHS: Record<number, number[]> = {
+  0: [1, 2, 4, 8, 16],
+  2: [8, 16],
+  3: [1, 2, 4, 8],
+  4: [8, 16],
+  6: [8, 16]
+};
+
+/** Adam7 passes as [startX, startY, stepX, stepY] */
+const ADAM7_PASSES = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2]
+];
+
+/**
+ * Checks whether bytes start with the PNG signature
+ *
+ * @param bytes - File contents
+ * @returns True if the data looks like a PNG file
+ */
+export function isPng(bytes: Uint8Array): boolean {
+  return bytes.length >= 8 && PNG_SIGNATURE.every((value, i) => bytes[i] === value);
+}
+
+/**
+ * Paeth predictor from the PNG specification
+ */
+function paeth(a: number, b: number, c: number): number {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+/**
+ * Reverses scanline filtering in place
+ */
+function unfilter(data: Uint8Array, offset: number, rowBytes: number, rows: number, bytesPerPixel: number): void {
+  for (let y = 0; y < rows; y++) {
+    const filterAt = offset + y * (rowBytes + 1);
+    const row = filterAt + 1;
+    const previous = row - rowBytes - 1;
+    const filter = data[filterAt];
+
+    for (let x = 0; x < rowBytes; x++) {
+      const left = x >= bytesPerPixel ? data[row + x - bytesPerPixel] : 0;
+      const up = y > 0 ? data[previous + x] : 0;
+      const upLeft = y > 0 && x >= bytesPerPixel ? data[previous + x - bytesPerPixel] : 0;
+
+      switch (filter) {
+        case 0: break;
+        case 1: data[row + x] = (data[row + x] + left) & 0xff; break;
+        case 2: data[row + x] = (data[row + x] + up) & 0xff; break;
+        case 3: data[row + x] = (data[row + x] + ((left + up) >> 1)) & 0xff; break;
+        case 4: data[row + x] = (data[row + x] + paeth(left, up, upLeft)) & 0xff; break;
+        default: throw new Error(`Invalid PNG filter type: ${filter}`);
+      }
+    }
+  }
+}
+
+/**
+ * Decodes a PNG file into RGBA pixels
+ *
+ * Supports every standard color type and bit depth (16-bit channels are
+ * reduced to 8 bits), palettes, tRNS transparency and Adam7 interlacing.
+ *
+ * @param input - PNG file contents
+ * @param options - Optional external inflate implementation
+ * @returns Decoded RGBA pixel data
+ * @throws Error if the file is not a valid or supported PNG
+ *
+ * @example
+ * ```typescript
+ * import { readFileSync } from 'fs';
+ * const pixels = decodePng(readFileSync('photo.png'));
+ * const ascii = generator.convertImage(pixels);
+ * ```
+ */
+export function decodePng(input: ImageBytes, options: PngDecodeOptions = {}): PixelData {
+  const bytes = toBytes(input);
+
+  if (!isPng(bytes)) {
+    throw new Error('Not a PNG file');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let width = 0;
+  let height = 0;
+  let bitDepth = 0;
+  let colorType = -1;
+  let interlaced = false;
+  let palette: Uint8Array | null = null;
+  let transparency: Uint8Array | null = null;
+  const dataChunks: Uint8Array[] = [];
+
+  for (let pos = 8; pos + 8 <= bytes.length;) {
+    const length = view.getUint32(pos);
+    const type = String.fromCharCode(bytes[pos + 4], bytes[pos + 5], bytes[pos + 6], bytes[pos + 7]);
+    const start = pos + 8;
+
+    if (start + length > bytes.length) {
+      throw new Error(`Truncated PNG chunk: ${type}`);
+    }
+    const chunk = bytes.subarray(start, start + length);
+
+    if (type === 'IHDR') {
+      width = view.getUint32(start);
+      height = view.getUint32(start + 4);
+      bitDepth = chunk[8];
+      colorType = chunk[9];
+      interlaced = chunk[12] === 1;
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'tRNS') {
+      transparency = chunk;
+    } else if (type === 'IDAT') {
+      dataChunks.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+
+    pos = start + length + 4; // skip CRC
+  }
+
+  validateImageSize(width, height, 'PNG');
+
+  if (!BIT_DEPTHS[colorType]?.includes(bitDepth)) {
+    throw new Error(`Unsupported PNG color type ${colorType} with bit depth ${bitDepth}`);
+  }
+  if (colorType === 3 && !palette) {
+    throw new Error('PNG palette image is missing its PLTE chunk');
+  }
+  if (dataChunks.length === 0) {
+    throw new Error('PNG has no image data');
+  }
+
+  const channels = CHANNELS[colorType];
+  const bitsPerPixel = channels * bitDepth;
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  const passes = interlaced ? ADAM7_PASSES : [[0, 0, 1, 1]];
+
+  // Size of the filtered data for every pass, to bound decompression
+  const layout = passes.map(([x0, y0, dx, dy]) => {
+    const passWidth = Math.ceil((width - x0) / dx);
+    const passHeight = Math.ceil((height - y0) / dy);
+    const rowBytes = Math.ceil(passWidth * bitsPerPixel / 8);
+    return { x0, y0, dx, dy, passWidth, passHeight, rowBytes };
+  });
+  const expectedSize = layout.reduce(
+    (sum, pass) => sum + (pass.passWidth > 0 && pass.passHeight > 0 ? (pass.rowBytes + 1) * pass.passHeight : 0),
+    0
+  );
+
+  const compressed = new Uint8Array(dataChunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let compressedPos = 0;
+  for (const chunk of dataChunks) {
+    compressed.set(chunk, compressedPos);
+    compressedPos += chunk.length;
+  }
+
+  const raw = inflateZlib(compressed, expectedSize, options.inflate);
+  if (raw.length < expectedSize) {
+    throw new Error('PNG image data is truncated');
+  }
+
+  const out = new Uint8ClampedArray(width * height * 4);
+  const maxValue = (1 << bitDepth) - 1;
+  const scale = (value: number): number => bitDepth === 16 ? value >> 8 : Math.round(value * 255 / maxValue);
+  const samples = [0, 0, 0, 0];
+
+  // tRNS for greyscale / truecolor: one fully transparent color (16-bit values)
+  const transparentKey = transparency && (colorType === 0 || colorType === 2)
+    ? Array.from({ length: colorType === 0 ? 1 : 3 }, (_, i) => (transparency![i * 2] << 8) | transparency![i * 2 + 1])
+    : null;
+
+  let offset = 0;
+  for (const { x0, y0, dx, dy, passWidth, passHeight, rowBytes } of layout) {
+    if (passWidth <= 0 || passHeight <= 0) continue;
+
+    unfilter(raw, offset, rowBytes, passHeight, bytesPerPixel);
+
+    for (let y = 0; y < passHeight; y++) {
+      const row = offset + y * (rowBytes + 1) + 1;
+
+      for (let x = 0; x < passWidth; x++) {
+        // Read every channel of this pixel, as its raw sample value
+        for (let c = 0; c < channels; c++) {
+          if (bitDepth === 16) {
+            const at = row + (x * channels + c) * 2;
+            samples[c] = (raw[at] << 8) | raw[at + 1];
+          } else if (bitDepth === 8) {
+            samples[c] = raw[row + x * channels + c];
+          } else {
+            const bit = x * bitDepth;
+            samples[c] = (raw[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxValue;
+          }
+        }
+
+        const to = ((y0 + y * dy) * width + x0 + x * dx) * 4;
+        let alpha = 255;
+
+        switch (colorType) {
+          case 0:
+            out[to] = out[to + 1] = out[to + 2] = scale(samples[0]);
+            if (transparentKey && samples[0] === transparentKey[0]) alpha = 0;
+            break;
+          case 2:
+            out[to] = scale(samples[0]);
+            out[to + 1] = scale(samples[1]);
+            out[to + 2] = scale(samples[2]);
+            if (transparentKey && samples[0] === transparentKey[0] &&
+              samples[1] === transparentKey[1] && samples[2] === transparentKey[2]) alpha = 0;
+            break;
+          case 3: {
+            const index = samples[0];
+            if (index * 3 + 2 < palette!.length) {
+              out[to] = palette![index * 3];
+              out[to + 1] = palette![index * 3 + 1];
+              out[to + 2] = palette![index * 3 + 2];
+            }
+            if (transparency && index < transparency.length) alpha = transparency[index];
+            break;
+          }
+          case 4:
+            out[to] = out[to + 1] = out[to + 2] = scale(samples[0]);
+            alpha = scale(samples[1]);
+            break;
+          default:
+            out[to] = scale(samples[0]);
+            out[to + 1] = scale(samples[1]);
+            out[to + 2] = scale(samples[2]);
+            alpha = scale(samples[3]);
+        }
+
+        out[to + 3] = alpha;
+      }
+    }
+
+    offset += (rowBytes + 1) * passHeight;
+  }
+
+  return { data: out, width, height };
+}
@@ -0,0 +1,134 @@
+/**
+ * Netpbm decoder (PBM, PGM, PPM)
+ * @module decoders/pnm
+ */
+
+import type { PixelData } from '../types/interfaces';
+import { toBytes, validateImageSize } from './common';
+import type { ImageBytes } from './common';
+
+/**
+ * Checks whether bytes start with a Netpbm magic number (P1-P6)
+ *
+ * @param bytes - File contents
+ * @returns True if the data looks like a PBM, PGM or PPM file
+ */
+export function isPnm(bytes: Uint8Array): boolean {
+  return bytes.length >= 3 && bytes[0] === 0x50 && bytes[1] >= 0x31 && bytes[1] <= 0x36 &&
+    (bytes[2] === 0x20 || (bytes[2] >= 0x09 && bytes[2] <= 0x0d) || bytes[2] === 0x23);
+}
+
+/**
+ * Decodes a PBM, PGM or PPM file (plain or binary) into RGBA pixels
+ *
+ * Handles P1-P6, comments and 16-bit samples (maxval above 255). Samples
+ * are scaled to 0-255; PBM 1 is black.
+ *
+ * @param input - File contents
+ * @returns Decoded RGBA pixel data
+ * @throws Error if the file is not a valid Netpbm image
+ */
+export function decodePnm(input: ImageBytes): PixelData {
+  const bytes = toBytes(input);
+
+  if (!isPnm(bytes)) {
+    throw new Error('Not a PBM, PGM or PPM file');
+  }
+
+  const kind = bytes[1] - 0x30;
+  const isBitmap = kind === 1 || kind === 4;
+  const channels = kind === 3 || kind === 6 ? 3 : 1;
+  const plain = kind <= 3;
+  let pos = 2;
+
+  const isSpace = (byte: number): boolean => byte === 0x20 || (byte >= 0x09 && byte <= 0x0d);
+
+  // Reads the next whitespace-separated ASCII integer, skipping comments
+  const readNumber = (): number => {
+    for (;;) {
+      while (pos < bytes.length && isSpace(bytes[pos])) pos++;
+      if (bytes[pos] !== 0x23) break;
+      while (pos < bytes.length && bytes[pos] !== 0x0a && bytes[pos] !== 0x0d) pos++;
+    }
+
+    let value = 0;
+    const start = pos;
+    while (pos < bytes.length && bytes[pos] >= 0x30 && bytes[pos] <= 0x39) {
+      value = value * 10 + bytes[pos++] - 0x30;
+    }
+    if (pos === start) {
+      throw new Error('Invalid or truncated Netpbm data');
+    }
+    return value;
+  };
+
+  const width = readNumber();
+  const height = readNumber();
+  const maxValue = isBitmap ? 1 : readNumber();
+
+  validateImageSize(width, height, 'Netpbm image');
+
+  if (maxValue < 1 || maxValue > 65535) {
+    throw new Error(`Invalid Netpbm maximum value: ${maxValue}`);
+  }
+
+  // A single whitespace byte separates the header from binary data
+  pos++;
+
+  const wide = maxValue > 255;
+  const rowBytes = isBitmap ? Math.ceil(width / 8) : width * channels * (wide ? 2 : 1);
+  if (!plain && pos + rowBytes * height > bytes.length) {
+    throw new Error('Netpbm pixel data is truncated');
+  }
+
+  const out = new Uint8ClampedArray(width * height * 4);
+
+  const readSample = (x: number, y: number, c: number): number => {
+    if (plain) {
+      if (isBitmap) {
+        // Plain PBM digits need no separators
+        while (pos < bytes.length && (isSpace(bytes[pos]) || bytes[pos] === 0x23)) {
+          if (bytes[pos] === 0x23) {
+            while (pos < bytes.length && bytes[pos] !== 0x0a) pos++;
+          } else {
+            pos++;
+          }
+        }
+        if (pos >= bytes.length) throw new Error('Invalid or truncated Netpbm data');
+        return bytes[pos++] === 0x31 ? 1 : 0;
+      }
+      return readNumber();
+    }
+
+    const row = pos + y * rowBytes;
+    if (isBitmap) {
+      return (bytes[row + (x >> 3)] >> (7 - (x & 7))) & 1;
+    }
+    const index = x * channels + c;
+    return wide ? (bytes[row + index * 2] << 8) | bytes[row + index * 2 + 1] : bytes[row + index];
+  };
+
+  if (plain) {
+    // The header's trailing whitespace byte is part of the sample separators
+    pos--;
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const to = (y * width + x) * 4;
+
+      if (isBitmap) {
+        out[to] = out[to + 1] = out[to + 2] = readSample(x, y, 0) ? 0 : 255;
+      } else if (channels === 1) {
+        out[to] = out[to + 1] = out[to + 2] = Math.round(readSample(x, y, 0) * 255 / maxValue);
+      } else {
+        out[to] = Math.round(readSample(x, y, 0) * 255 / maxValue);
+        out[to + 1] = Math.round(readSample(x, y, 1) * 255 / maxValue);
+        out[to + 2] = Math.round(readSample(x, y, 2) * 255 / maxValue);
+      }
+      out[to + 3] = 255;
+    }
+  }
+
+  return { data: out, width, height };
+}
@@ -10,6 +10,16 @@
 
 // Core engine
 export { AsciiGenerator } from './core/ascii-engine';
+export { AsciiVideoRenderer } from './core/video-renderer';
+export type {
+  AsciiVideoRendererOptions,
+  AsciiVideoRendererEvents,
+  VideoFrameInfo,
+  VideoFrameTarget,
+  VideoRendererState
+} from './core/video-renderer';
+export { convertGif, convertAnimationFrames } from './core/animation';
+export type { AsciiAnimation, AsciiAnimationFrame } from './core/animation';
 
 // Type definitions and interfaces
 export type {
@@ -17,15 +27,31 @@ export type {
   AsciiOutput,
   AsciiMetadata,
   ImageSource,
+  RawImageData,
+  TextRenderer,
   CharColor,
   TextToAsciiOptions,
-  PixelData
+  AsyncConvertOptions,
+  PixelData,
+  RenderMode,
+  CellSample,
+  DitherMethod,
+  PreprocessStep,
+  LuminanceModel,
+  LuminanceFunction,
+  PalettePreset,
+  PaletteColor,
+  ColorDistanceMetric,
+  HtmlRenderOptions
 } from './types/interfaces';
 
 export { CharsetPreset, CHARSET_MAP } from './types/interfaces';
 
 // Utility functions (for advanced use cases)
 export {
+  assertCanvasAvailable,
+  isRawImageData,
+  resizePixelData,
   extractPixelData,
   calculateLuminance,
   luminanceToChar,
@@ -35,6 +61,123 @@ export {
   rgbToCSS
 } from './utils/canvas-helpers';
 
+export {
+  dotsToBraille,
+  sampleBrailleCell,
+  BRAILLE_BASE,
+  BRAILLE_CELL_WIDTH,
+  BRAILLE_CELL_HEIGHT
+} from './utils/braille';
+
+export {
+  sampleHalfBlockCell,
+  UPPER_HALF_BLOCK,
+  LOWER_HALF_BLOCK,
+  FULL_BLOCK,
+  HALF_BLOCK_CELL_HEIGHT
+} from './utils/half-block';
+
+export { computeSobel, detectEdges, gradientToEdgeChar, EDGE_CHARS } from './utils/edges';
+export type { EdgeField } from './utils/edges';
+
+export {
+  renderGlyphBitmaps,
+  matchGlyph,
+  sampleShapeCell,
+  SHAPE_CELL_WIDTH,
+  SHAPE_CELL_HEIGHT
+} from './utils/glyphs';
+export type { GlyphBitmap } from './utils/glyphs';
+
+export { buildCharset, measureGlyphDensity } from './utils/charset-builder';
+
+export { ditherGrid, ditherLuminance, bayerMatrix } from './utils/dither';
+
+export {
+  applyPreprocessing,
+  validatePreprocessSteps,
+  createPreprocessState
+} from './utils/preprocess';
+export type { PreprocessState } from './utils/preprocess';
+
+export { applyClahe } from './utils/clahe';
+
+export { createLuminanceFunction, LUMINANCE_MODELS } from './utils/luminance';
+
+export {
+  resolvePalette,
+  createPaletteMatcher,
+  quantizeColorGrid,
+  rgbToOklab,
+  rgbToLab,
+  ciede2000,
+  PALETTES
+} from './utils/palette';
+export type { RgbColor } from './utils/palette';
+
+export { renderAnsi } from './renderers/ansi';
+export type { AnsiRenderOptions, AnsiColorMode } from './renderers/ansi';
+
+export { renderSvg } from './renderers/svg';
+export type { SvgRenderOptions } from './renderers/svg';
+
+export { renderAsciicast } from './renderers/asciicast';
+export type { AsciicastFrame, AsciicastOptions } from './renderers/asciicast';
+
+export { rasterizeAscii, rasterizeAsciiToPng } from './renderers/raster';
+export type { RasterRenderOptions } from './renderers/raster';
+
+export { renderHtml, validateHtmlOptions } from './renderers/html';
+export type { HtmlRenderResult } from './renderers/html';
+
+export { AsciiDeltaEncoder, AsciiDeltaDecoder } from './core/frame-delta';
+export type {
+  AsciiFrameDelta,
+  AsciiDeltaRow,
+  AsciiDeltaCell,
+  AsciiDeltaOptions,
+  AsciiFrame
+} from './core/frame-delta';
+
+export { AsciiWorkerPool } from './worker/pool';
+export type { AsciiWorkerPoolOptions, WorkerBackpressure, WorkerConvertOptions } from './worker/pool';
+export { runAsciiWorker } from './worker/worker';
+export type { AsciiWorkerScope } from './worker/worker';
+export { packAsciiOutput, unpackAsciiOutput } from './worker/protocol';
+export type {
+  AsciiWorkerRequest,
+  AsciiWorkerResponse,
+  PackedAsciiOutput,
+  WorkerAsciiConfig,
+  WorkerImageSource
+} from './worker/protocol';
+
+export { TerminalPlayer } from './terminal/player';
+export type {
+  TerminalPlayerOptions,
+  TerminalOutputStream,
+  TerminalInputStream,
+  FrameSource
+} from './terminal/player';
+
+export { decodeImage } from './decoders/decode';
+export type { DecodeImageOptions } from './decoders/decode';
+export { decodePng, isPng } from './decoders/png';
+export type { PngDecodeOptions } from './decoders/png';
+export { decodeJpeg, isJpeg } from './decoders/jpeg';
+export type { JpegDecodeOptions } from './decoders/jpeg';
+export { decodeGif, streamGifFrames, isGif } from './decoders/gif';
+export type { GifAnimation, GifFrame, GifFrameStream, GifDecodeOptions } from './decoders/gif';
+export { decodeBmp, isBmp } from './decoders/bmp';
+export { decodePnm, isPnm } from './decoders/pnm';
+export { applyOrientation } from './decoders/common';
+export type { ImageBytes } from './decoders/common';
+export { inflateZlib, inflateRaw } from './decoders/inflate';
+export type { InflateFunction } from './decoders/inflate';
+
+export type { ClaheOptions, ClaheState } from './utils/clahe';
+export type { CharsetBuilderOptions } from './utils/charset-builder';
+
 /**
  * @example Basic Usage
  * ```typescript
@@ -0,0 +1,143 @@
+/**
+ * ANSI escape-sequence renderer for terminal output
+ * @module renderers/ansi
+ */
+
+import type { AsciiOutput, CharColor } from '../types/interfaces';
+import { createPaletteMatcher, PALETTES } from '../utils/palette';
+
+/**
+ * Terminal color depth used for SGR color codes
+ * - 'truecolor': 24-bit colors (38;2;r;g;b)
+ * - '256': xterm 256-color palette (38;5;n)
+ * - '16': standard and bright ANSI colors (30-37, 90-97)
+ */
+export type AnsiColorMode = 'truecolor' | '256' | '16';
+
+/**
+ * Options for rendering ASCII output as ANSI escape sequences
+ */
+export interface AnsiRenderOptions {
+  /**
+   * Color depth of the target terminal
+   * @default 'truecolor'
+   */
+  colorMode?: AnsiColorMode;
+
+  /**
+   * Paint cell backgrounds from `backgroundColors` when present
+   * @default true
+   */
+  background?: boolean;
+}
+
+const ANSI_COLOR_MODES: readonly AnsiColorMode[] = ['truecolor', '256', '16'];
+
+const ESC = '\u001b[';
+const RESET = `${ESC}0m`;
+
+/** Lazily built nearest-color matchers for the indexed color modes */
+const matchers: Partial<Record<'256' | '16', (r: number, g: number, b: number) => number>> = {};
+
+/**
+ * Builds the SGR parameters that select a color
+ *
+ * @param color - Color to select, or null for the terminal default
+ * @param colorMode - Terminal color depth
+ * @param isBackground - Select the background instead of the foreground
+ */
+function colorParams(color: CharColor | null, colorMode: AnsiColorMode, isBackground: boolean): string {
+  if (!color) {
+    return isBackground ? '49' : '39';
+  }
+
+  if (colorMode === 'truecolor') {
+    return `${isBackground ? 48 : 38};2;${Math.round(color.r)};${Math.round(color.g)};${Math.round(color.b)}`;
+  }
+
+  const match = matchers[colorMode] ??= createPaletteMatcher(
+    colorMode === '256' ? PALETTES.xterm256 : PALETTES.ansi16
+  );
+  const index = match(color.r, color.g, color.b);
+
+  if (colorMode === '256') {
+    return `${isBackground ? 48 : 38};5;${index}`;
+  }
+
+  const base = index < 8 ? (isBackground ? 40 : 30) : (isBackground ? 100 : 90);
+  return String(base + (index % 8));
+}
+
+/**
+ * Renders ASCII output as text with ANSI SGR color escape codes
+ *
+ * Works with the output of any conversion mode. Escape codes are only emitted
+ * when the foreground or background changes, and every colored line ends with
+ * a reset so backgrounds never bleed past the grid. Fully transparent cells use
+ * the terminal's default colors. Output without `colors` is returned as plain
+ * text. Control characters in the grid are replaced with spaces so the output
+ * cannot inject its own escape sequences.
+ *
+ * @param output - Result of convertImage / convertText
+ * @param options - Color depth and background options
+ * @returns Terminal-ready string (rows separated by '\n')
+ * @throws Error if the color mode is unknown
+ *
+ * @example
+ * ```typescript
+ * const generator = new AsciiGenerator({ colored: true, mode: 'halfblock', width: 80 });
+ * process.stdout.write(renderAnsi(generator.convertImage(frame), { colorMode: '256' }) + '\n');
+ * ```
+ */
+export function renderAnsi(
+  output: Pick<AsciiOutput, 'characters' | 'colors' | 'backgroundColors'>,
+  options: AnsiRenderOptions = {}
+): string {
+  const { colorMode = 'truecolor', background = true } = options;
+
+  if (!ANSI_COLOR_MODES.includes(colorMode)) {
+    throw new Error(`Invalid ANSI color mode. Allowed values: ${ANSI_COLOR_MODES.join(', ')}`);
+  }
+
+  const { characters, colors } = output;
+  const backgroundColors = background ? output.backgroundColors : undefined;
+  const lines: string[] = [];
+
+  for (let y = 0; y < characters.length; y++) {
+    const row = characters[y];
+    let line = '';
+    let currentFg: string | null = null;
+    let currentBg: string | null = null;
+
+    for (let x = 0; x < row.length; x++) {
+      const char = row[x].replace(/[\u0000-\u001f\u007f-\u009f]/g, ' ');
+
+      if (colors) {
+        const fgColor = colors[y]?.[x];
+        const bgColor = backgroundColors?.[y]?.[x];
+        const fg = colorParams(fgColor && fgColor.a > 0 ? fgColor : null, colorMode, false);
+        const bg = colorParams(bgColor && bgColor.a > 0 ? bgColor : null, colorMode, true);
+        const params: string[] = [];
+
+        // Default colors only need emitting once something else was set
+        if (fg !== (currentFg ?? '39')) params.push(fg);
+        if (bg !== (currentBg ?? '49')) params.push(bg);
+
+        if (params.length > 0) {
+          line += `${ESC}${params.join(';')}m`;
+        }
+        currentFg = fg;
+        currentBg = bg;
+      }
+
+      line += char;
+    }
+
+    if (currentFg !== null && (currentFg !== '39' || currentBg !== '49')) {
+      line += RESET;
+    }
+    lines.push(line);
+  }
+
+  return lines.join('\n');
+}
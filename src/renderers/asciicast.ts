@@ -0,0 +1,164 @@
+/**
+ * asciicast v2 exporter for asciinema recordings
+ * @module renderers/asciicast
+ */
+
+import type { AsciiOutput } from '../types/interfaces';
+import { renderAnsi } from './ansi';
+import type { AnsiRenderOptions } from './ansi';
+
+/**
+ * A frame to record
+ * Frames without a timestamp start when the previous frame's delay ends
+ */
+export interface AsciicastFrame {
+  /** Conversion result */
+  output: Pick<AsciiOutput, 'characters' | 'colors' | 'backgroundColors'>;
+
+  /** When the frame is shown, in milliseconds from the start of the recording */
+  timestamp?: number;
+
+  /** How long the frame is shown, in milliseconds */
+  delay?: number;
+}
+
+/**
+ * Options for asciicast export
+ */
+export interface AsciicastOptions {
+  /**
+   * Recording title shown by players
+   */
+  title?: string;
+
+  /**
+   * Recording start time as a Unix timestamp in seconds, or a Date
+   */
+  timestamp?: number | Date;
+
+  /**
+   * Frame rate for frames that have neither a timestamp nor a preceding delay
+   * @default 10
+   */
+  fps?: number;
+
+  /**
+   * ANSI options for frames with colors
+   */
+  ansi?: AnsiRenderOptions;
+
+  /**
+   * Environment recorded in the header
+   * @default { TERM: 'xterm-256color' }
+   */
+  env?: Record<string, string>;
+}
+
+const MAX_FPS = 120;
+
+const ESC = '\u001b[';
+const HIDE_CURSOR = `${ESC}?25l`;
+const SHOW_CURSOR = `${ESC}?25h`;
+const CLEAR_SCREEN = `${ESC}2J`;
+const CURSOR_HOME = `${ESC}H`;
+
+/**
+ * Formats milliseconds as asciicast seconds
+ */
+function toSeconds(ms: number): number {
+  return Math.round(ms) / 1000;
+}
+
+/**
+ * Renders timed ASCII frames as an asciicast v2 recording
+ *
+ * The result is a JSON header line followed by one `[time, "o", data]` output
+ * event per frame, where each frame moves the cursor home and redraws the grid
+ * with ANSI color sequences. The screen is only cleared when the grid size
+ * changes, and frames identical to the previous one are merged.
+ * A final event at the end of the last frame's delay shows the cursor again,
+ * so players keep the last frame on screen for its full duration.
+ *
+ * @param frames - Frames in playback order, e.g. from convertGif
+ * @param options - Header fields, timing fallback and ANSI options
+ * @returns The recording (newline-delimited JSON), ready to save as a .cast file
+ * @throws Error if there are no frames, timestamps go backwards or options are invalid
+ *
+ * @example
+ * ```typescript
+ * const { frames } = convertGif(generator, readFileSync('clip.gif'));
+ * writeFileSync('clip.cast', renderAsciicast(frames, { title: 'clip.gif' }));
+ * ```
+ */
+export function renderAsciicast(frames: Iterable<AsciicastFrame>, options: AsciicastOptions = {}): string {
+  const { title, timestamp, fps = 10, ansi = {}, env = { TERM: 'xterm-256color' } } = options;
+
+  if (!Number.isFinite(fps) || fps <= 0 || fps > MAX_FPS) {
+    throw new Error(`FPS must be greater than 0 and at most ${MAX_FPS}`);
+  }
+
+  const list = Array.from(frames);
+  if (list.length === 0) {
+    throw new Error('Cannot record an animation without frames');
+  }
+
+  const startTime = timestamp instanceof Date ? timestamp.getTime() / 1000 : timestamp;
+  if (startTime !== undefined && !Number.isFinite(startTime)) {
+    throw new Error('Recording timestamp must be a valid date or Unix time in seconds');
+  }
+
+  const events: string[] = [];
+  let width = 0;
+  let height = 0;
+  let time = 0;
+  let previousTime = 0;
+  let previousScreen: string | null = null;
+  let previousSize = '';
+
+  for (let i = 0; i < list.length; i++) {
+    const frame = list[i];
+    const frameTime = frame.timestamp ?? time;
+
+    // A timestamp may cut the previous frame short, but not go before it
+    if (!Number.isFinite(frameTime) || frameTime < previousTime) {
+      throw new Error(`Frame ${i} timestamp must be a finite number not before ${previousTime} ms`);
+    }
+    if (frame.delay !== undefined && (!Number.isFinite(frame.delay) || frame.delay < 0)) {
+      throw new Error(`Invalid delay for frame ${i}: ${frame.delay}`);
+    }
+
+    const lines = renderAnsi(frame.output, ansi).split('\n');
+    const screen = lines.join('\r\n');
+    const frameWidth = Math.max(0, ...frame.output.characters.map(row => row.length));
+    const size = `${frameWidth}x${lines.length}`;
+    width = Math.max(width, frameWidth);
+    height = Math.max(height, lines.length);
+
+    if (screen !== previousScreen) {
+      // Same-size frames overwrite every cell; otherwise clear leftovers first
+      let prefix = previousScreen === null ? HIDE_CURSOR : '';
+      if (size !== previousSize) prefix += CLEAR_SCREEN;
+
+      events.push(JSON.stringify([toSeconds(frameTime), 'o', prefix + CURSOR_HOME + screen]));
+      previousScreen = screen;
+      previousSize = size;
+    }
+
+    previousTime = frameTime;
+    time = frameTime + (frame.delay ?? 1000 / fps);
+  }
+
+  events.push(JSON.stringify([toSeconds(time), 'o', SHOW_CURSOR]));
+
+  const header: Record<string, unknown> = { version: 2, width, height };
+  if (startTime !== undefined) {
+    header.timestamp = Math.floor(startTime);
+  }
+  header.duration = toSeconds(time);
+  if (title !== undefined) {
+    header.title = title;
+  }
+  header.env = env;
+
+  return [JSON.stringify(header), ...events].join('\n') + '\n';
+}
@@ -0,0 +1,238 @@
+/**
+ * Compact HTML renderer with run-length spans and optional CSS classes
+ * @module renderers/html
+ */
+
+import type { AsciiOutput, CharColor, HtmlRenderOptions } from '../types/interfaces';
+
+/**
+ * Rendered HTML and its stylesheet
+ */
+export interface HtmlRenderResult {
+  /** Markup of the wrapper element */
+  html: string;
+
+  /** Stylesheet for the generated classes (empty when useClasses is false) */
+  css: string;
+}
+
+const HTML_ELEMENTS: readonly NonNullable<HtmlRenderOptions['element']>[] = ['pre', 'div', 'code'];
+
+/** Class prefixes must be valid CSS identifiers */
+const CLASS_PREFIX_PATTERN = /^[A-Za-z_][\w-]*$/;
+
+/**
+ * Escapes HTML special characters to prevent XSS
+ */
+function escapeHtml(text: string): string {
+  const map: Record<string, string> = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;',
+    '`': '&#96;'
+  };
+  return text.replace(/[&<>"'`]/g, (char) => map[char]);
+}
+
+/**
+ * Strips characters that could end a CSS declaration, rule or style element
+ */
+function sanitizeCssValue(value: string): string {
+  return value.replace(/[;{}<>\\\r\n]/g, '');
+}
+
+/**
+ * Formats a color as the shortest CSS value (#rrggbb when opaque)
+ */
+function cssColor(color: CharColor): string {
+  const [r, g, b] = [color.r, color.g, color.b].map((c) => Math.max(0, Math.min(255, Math.round(c))));
+  if (color.a >= 255) {
+    return '#' + [r, g, b].map((c) => c.toString(16).padStart(2, '0')).join('');
+  }
+  return `rgba(${r},${g},${b},${(Math.max(0, color.a) / 255).toFixed(2)})`;
+}
+
+/**
+ * Validates HTML render options
+ *
+ * @param options - HTML render options
+ * @throws Error if the element or class prefix is invalid
+ */
+export function validateHtmlOptions(options: HtmlRenderOptions): void {
+  if (options.element !== undefined && !HTML_ELEMENTS.includes(options.element)) {
+    throw new Error(`Invalid HTML element. Allowed values: ${HTML_ELEMENTS.join(', ')}`);
+  }
+
+  if (options.classPrefix !== undefined && !CLASS_PREFIX_PATTERN.test(options.classPrefix)) {
+    throw new Error('Class prefix must start with a letter or underscore and contain only letters, digits, - and _');
+  }
+}
+
+/**
+ * Renders HTML one row at a time, so long conversions can yield in between
+ */
+export interface HtmlRowRenderer {
+  /** Renders row `y`; rows must be rendered in order */
+  renderRow(y: number): void;
+
+  /** Joins the rendered rows into the wrapper element and builds the stylesheet */
+  finish(): HtmlRenderResult;
+}
+
+/**
+ * Creates an incremental HTML renderer
+ * renderHtml() is this renderer run over every row.
+ *
+ * @param output - Characters and optional colors to render
+ * @param options - Wrapper, class and style options
+ * @returns Row renderer
+ * @throws Error if the element or class prefix is invalid
+ */
+export function createHtmlRenderer(
+  output: Pick<AsciiOutput, 'characters' | 'colors' | 'backgroundColors'>,
+  options: HtmlRenderOptions = {}
+): HtmlRowRenderer {
+  const {
+    element = 'pre',
+    useClasses = false,
+    classPrefix = 'ascii-',
+    fontFamily = 'monospace',
+    lineHeight = 1
+  } = options;
+  const { characters, colors, backgroundColors } = output;
+  const background = options.background !== undefined
+    ? options.background
+    : (colors ? '#000' : null);
+
+  validateHtmlOptions(options);
+
+  const wrapperStyle = [
+    `font-family:${sanitizeCssValue(fontFamily)}`,
+    `line-height:${sanitizeCssValue(String(lineHeight))}`,
+    'white-space:pre',
+    ...(background !== null ? [`background:${sanitizeCssValue(background)}`] : [])
+  ].join(';');
+
+  const foregroundClasses = new Map<string, string>();
+  const backgroundClasses = new Map<string, string>();
+  const classFor = (classes: Map<string, string>, kind: string, value: string): string => {
+    let name = classes.get(value);
+    if (name === undefined) {
+      name = `${classPrefix}${kind}${classes.size}`;
+      classes.set(value, name);
+    }
+    return name;
+  };
+
+  const lines: string[] = [];
+
+  const renderRow = (y: number): void => {
+    const row = characters[y];
+    const parts: string[] = [];
+    let runText = '';
+    let runKey: string | null = null;
+    let runAttributes = '';
+
+    const flush = (): void => {
+      if (runText) {
+        parts.push(runAttributes ? `<span ${runAttributes}>${escapeHtml(runText)}</span>` : escapeHtml(runText));
+      }
+      runText = '';
+    };
+
+    for (let x = 0; x < row.length; x++) {
+      const char = row[x];
+      const fg = colors?.[y]?.[x];
+      const bg = backgroundColors?.[y]?.[x];
+
+      // Blank cells without a background look the same in any run
+      if (!bg && runKey !== null && char.trim() === '') {
+        runText += char;
+        continue;
+      }
+
+      const fgValue = fg ? cssColor(fg) : '';
+      const bgValue = bg ? cssColor(bg) : '';
+      const key = `${fgValue}|${bgValue}`;
+
+      if (key !== runKey) {
+        flush();
+        runKey = key;
+
+        if (useClasses) {
+          const names = [
+            ...(fgValue ? [classFor(foregroundClasses, 'c', fgValue)] : []),
+            ...(bgValue ? [classFor(backgroundClasses, 'b', bgValue)] : [])
+          ];
+          runAttributes = names.length > 0 ? `class="${names.join(' ')}"` : '';
+        } else {
+          const styles = [
+            ...(fgValue ? [`color:${fgValue}`] : []),
+            ...(bgValue ? [`background-color:${bgValue}`] : [])
+          ];
+          runAttributes = styles.length > 0 ? `style="${styles.join(';')}"` : '';
+        }
+      }
+
+      runText += char;
+    }
+
+    flush();
+    lines[y] = parts.join('');
+  };
+
+  const finish = (): HtmlRenderResult => {
+    const body = lines.join('\n');
+
+    if (!useClasses) {
+      return {
+        html: `<${element} style="${escapeHtml(wrapperStyle)}">${body}</${element}>`,
+        css: ''
+      };
+    }
+
+    const rules = [`.${classPrefix}output{${wrapperStyle}}`];
+    foregroundClasses.forEach((name, value) => rules.push(`.${name}{color:${value}}`));
+    backgroundClasses.forEach((name, value) => rules.push(`.${name}{background-color:${value}}`));
+
+    return {
+      html: `<${element} class="${classPrefix}output">${body}</${element}>`,
+      css: rules.join('\n')
+    };
+  };
+
+  return { renderRow, finish };
+}
+
+/**
+ * Renders ASCII output as HTML
+ *
+ * Adjacent cells with the same foreground and background are merged into one
+ * `<span>`. Blank cells without a background join whichever run they follow,
+ * since their foreground is invisible. With `useClasses`, every distinct color
+ * gets a generated class and the returned `css` holds the matching rules.
+ *
+ * @param output - Characters and optional colors to render
+ * @param options - Wrapper, class and style options
+ * @returns HTML markup and stylesheet
+ * @throws Error if the element or class prefix is invalid
+ *
+ * @example
+ * ```typescript
+ * const { html, css } = renderHtml(result, { useClasses: true, classPrefix: 'art-' });
+ * styleElement.textContent = css;
+ * container.innerHTML = html;
+ * ```
+ */
+export function renderHtml(
+  output: Pick<AsciiOutput, 'characters' | 'colors' | 'backgroundColors'>,
+  options: HtmlRenderOptions = {}
+): HtmlRenderResult {
+  const renderer = createHtmlRenderer(output, options);
+  for (let y = 0; y < output.characters.length; y++) {
+    renderer.renderRow(y);
+  }
+  return renderer.finish();
+}
@@ -0,0 +1,188 @@
+/**
+ * Raster renderer that draws ASCII output back into an image
+ * @module renderers/raster
+ */
+
+import type { AsciiOutput, CharColor } from '../types/interfaces';
+import { assertCanvasAvailable, createScratchContext, rgbToCSS } from '../utils/canvas-helpers';
+import type { ScratchContext } from '../utils/canvas-helpers';
+
+/**
+ * Options for rasterizing ASCII output
+ */
+export interface RasterRenderOptions {
+  /**
+   * Monospace font family used to draw the characters
+   * @default 'monospace'
+   */
+  fontFamily?: string;
+
+  /**
+   * Font size in pixels
+   * @default 12
+   */
+  fontSize?: number;
+
+  /**
+   * Width of one character cell in pixels
+   * @default Math.ceil(fontSize * 0.6)
+   */
+  cellWidth?: number;
+
+  /**
+   * Height of one character cell in pixels
+   * @default fontSize
+   */
+  cellHeight?: number;
+
+  /**
+   * Background fill (any CSS color); null for a transparent background
+   * @default '#000000' for colored output, '#ffffff' otherwise
+   */
+  background?: string | null;
+
+  /**
+   * Text color used when the output has no per-cell colors
+   * @default '#000000'
+   */
+  color?: string;
+}
+
+const MAX_FONT_SIZE = 1000;
+
+/**
+ * Draws ASCII output onto a new canvas
+ * Uses a DOM canvas, or an OffscreenCanvas when there is no DOM (Web Workers)
+ */
+function drawAscii(output: AsciiOutput, options: RasterRenderOptions): ScratchContext {
+  const fontSize = options.fontSize ?? 12;
+  const cellWidth = options.cellWidth ?? Math.ceil(fontSize * 0.6);
+  const cellHeight = options.cellHeight ?? fontSize;
+  const textColor = options.color ?? '#000000';
+  const background = options.background !== undefined
+    ? options.background
+    : (output.colors ? '#000000' : '#ffffff');
+
+  if (!(fontSize >= 1 && fontSize <= MAX_FONT_SIZE)) {
+    throw new Error(`Font size must be between 1 and ${MAX_FONT_SIZE}`);
+  }
+
+  if (!(Number.isInteger(cellWidth) && cellWidth >= 1) || !(Number.isInteger(cellHeight) && cellHeight >= 1)) {
+    throw new Error('Cell width and height must be positive integers');
+  }
+
+  // Sanitize font family to prevent injection
+  const sanitizedFont = (options.fontFamily ?? 'monospace').replace(/["'`<>]/g, '');
+
+  assertCanvasAvailable('Rasterizing ASCII output');
+
+  const { characters, colors, backgroundColors } = output;
+  const columns = characters.reduce((max, row) => Math.max(max, row.length), 0);
+  const ctx = createScratchContext(
+    Math.max(1, columns * cellWidth),
+    Math.max(1, characters.length * cellHeight)
+  );
+
+  if (!ctx) {
+    throw new Error('Unable to obtain 2D canvas context');
+  }
+
+  const { canvas } = ctx;
+
+  if (background !== null) {
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+
+  const toCss = (color: CharColor): string => rgbToCSS(color.r, color.g, color.b, color.a);
+
+  // Cell backgrounds ('halfblock' with colored: true), merged into runs
+  backgroundColors?.forEach((row, y) => {
+    let runStart = 0;
+    for (let x = 1; x <= row.length; x++) {
+      const previous = row[x - 1] ? toCss(row[x - 1]) : '';
+      if (x < row.length && row[x] && toCss(row[x]) === previous) continue;
+      if (previous) {
+        ctx.fillStyle = previous;
+        ctx.fillRect(runStart * cellWidth, y * cellHeight, (x - runStart) * cellWidth, cellHeight);
+      }
+      runStart = x;
+    }
+  });
+
+  ctx.font = `${fontSize}px ${sanitizedFont}`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = textColor;
+  let currentFill = textColor;
+
+  characters.forEach((row, y) => {
+    for (let x = 0; x < row.length; x++) {
+      const char = row[x];
+      if (char.trim() === '') continue;
+
+      const color = colors?.[y]?.[x];
+      if (color) {
+        const fill = toCss(color);
+        if (fill !== currentFill) {
+          ctx.fillStyle = fill;
+          currentFill = fill;
+        }
+      }
+
+      ctx.fillText(char, (x + 0.5) * cellWidth, (y + 0.5) * cellHeight);
+    }
+  });
+
+  return ctx;
+}
+
+/**
+ * Draws ASCII output onto a canvas and returns the pixels
+ * Per-cell `colors` and `backgroundColors` are used when present.
+ *
+ * @param output - Result of convertImage / convertText
+ * @param options - Font, cell size and color options
+ * @returns Rendered image
+ * @throws Error if options are invalid, the image is too large, or no canvas is available
+ *
+ * @example
+ * ```typescript
+ * const image = rasterizeAscii(result, { fontFamily: 'Menlo', fontSize: 14 });
+ * ctx.putImageData(image, 0, 0);
+ * ```
+ */
+export function rasterizeAscii(output: AsciiOutput, options: RasterRenderOptions = {}): ImageData {
+  const ctx = drawAscii(output, options);
+  return ctx.getImageData(0, 0, ctx.canvas.width, ctx.canvas.height);
+}
+
+/**
+ * Draws ASCII output and encodes it as PNG
+ *
+ * @param output - Result of convertImage / convertText
+ * @param options - Font, cell size and color options
+ * @returns PNG file bytes
+ * @throws Error if options are invalid, the image is too large, or encoding fails
+ *
+ * @example
+ * ```typescript
+ * const png = await rasterizeAsciiToPng(result, { fontSize: 16 });
+ * const url = URL.createObjectURL(new Blob([png], { type: 'image/png' }));
+ * ```
+ */
+export async function rasterizeAsciiToPng(
+  output: AsciiOutput,
+  options: RasterRenderOptions = {}
+): Promise<Uint8Array> {
+  const { canvas } = drawAscii(output, options);
+
+  const blob = 'convertToBlob' in canvas
+    ? await canvas.convertToBlob({ type: 'image/png' })
+    : await new Promise<Blob | null>((resolve) => canvas.toBlob(resolve, 'image/png'));
+  if (!blob) {
+    throw new Error('Unable to encode canvas as PNG');
+  }
+
+  return new Uint8Array(await blob.arrayBuffer());
+}
@@ -0,0 +1,208 @@
+/**
+ * SVG renderer for scalable ASCII art
+ * @module renderers/svg
+ */
+
+import type { AsciiOutput, CharColor } from '../types/interfaces';
+
+/**
+ * Options for rendering ASCII output as SVG
+ */
+export interface SvgRenderOptions {
+  /**
+   * Font family for the text
+   * @default 'monospace'
+   */
+  fontFamily?: string;
+
+  /**
+   * Font size in pixels
+   * @default 12
+   */
+  fontSize?: number;
+
+  /**
+   * Horizontal distance between characters in pixels
+   * @default fontSize * 0.6
+   */
+  cellWidth?: number;
+
+  /**
+   * Vertical distance between rows in pixels
+   * @default fontSize
+   */
+  cellHeight?: number;
+
+  /**
+   * Background fill (any SVG color); null for a transparent background
+   * @default '#000000' for colored output, null otherwise
+   */
+  background?: string | null;
+
+  /**
+   * Text fill used when the output has no per-cell colors
+   * @default '#000000'
+   */
+  color?: string;
+}
+
+// Security limits to keep the document size bounded
+const MAX_FONT_SIZE = 1000;
+const MAX_CELL_SIZE = 1000;
+
+/**
+ * Escapes text for use in SVG content and attribute values
+ */
+function escapeXml(text: string): string {
+  const map: Record<string, string> = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  // Control characters are not allowed in XML 1.0 documents
+  return text
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, ' ')
+    .replace(/[&<>"']/g, (char) => map[char]);
+}
+
+/**
+ * Formats a number without trailing float noise
+ */
+function formatNumber(value: number): string {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Builds fill attributes for a color (hex fill plus opacity when translucent)
+ */
+function fillAttributes(color: CharColor): string {
+  const hex = [color.r, color.g, color.b]
+    .map((c) => Math.max(0, Math.min(255, Math.round(c))).toString(16).padStart(2, '0'))
+    .join('');
+  const opacity = color.a < 255 ? ` fill-opacity="${formatNumber(Math.max(0, color.a) / 255)}"` : '';
+  return `fill="#${hex}"${opacity}`;
+}
+
+/**
+ * Splits a row into runs of cells that share the same fill
+ */
+function splitRuns<T>(length: number, keyAt: (x: number) => T): Array<{ start: number; end: number; key: T }> {
+  const runs: Array<{ start: number; end: number; key: T }> = [];
+
+  for (let x = 0; x < length; x++) {
+    const key = keyAt(x);
+    const last = runs[runs.length - 1];
+    if (last && last.key === key) {
+      last.end = x + 1;
+    } else {
+      runs.push({ start: x, end: x + 1, key });
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * Renders ASCII output as a standalone SVG document
+ *
+ * Each row becomes a `<text>` element, and runs of cells with the same color
+ * are merged into one `<tspan>`. Every tspan is pinned to the character grid
+ * with `x` and `textLength`, so columns stay aligned even when the viewer
+ * substitutes a font with different advance widths. Background colors
+ * ('halfblock' with colored: true) are drawn as merged `<rect>` runs.
+ *
+ * @param output - Result of convertImage / convertText
+ * @param options - Font, cell size and color options
+ * @returns SVG markup starting with `<svg`
+ * @throws Error if font or cell sizes are out of range
+ *
+ * @example
+ * ```typescript
+ * const result = generator.convertImage(image);
+ * const svg = renderSvg(result, { fontFamily: 'Courier New', fontSize: 10 });
+ * fs.writeFileSync('poster.svg', svg);
+ * ```
+ */
+export function renderSvg(output: AsciiOutput, options: SvgRenderOptions = {}): string {
+  const fontSize = options.fontSize ?? 12;
+  const cellWidth = options.cellWidth ?? fontSize * 0.6;
+  const cellHeight = options.cellHeight ?? fontSize;
+  const fontFamily = options.fontFamily ?? 'monospace';
+  const textColor = options.color ?? '#000000';
+  const background = options.background !== undefined
+    ? options.background
+    : (output.colors ? '#000000' : null);
+
+  if (!(fontSize > 0 && fontSize <= MAX_FONT_SIZE)) {
+    throw new Error(`Font size must be greater than 0 and at most ${MAX_FONT_SIZE}`);
+  }
+
+  if (!(cellWidth > 0 && cellWidth <= MAX_CELL_SIZE) || !(cellHeight > 0 && cellHeight <= MAX_CELL_SIZE)) {
+    throw new Error(`Cell width and height must be greater than 0 and at most ${MAX_CELL_SIZE}`);
+  }
+
+  const { characters, colors, backgroundColors } = output;
+  const columns = characters.reduce((max, row) => Math.max(max, row.length), 0);
+  const width = formatNumber(columns * cellWidth);
+  const height = formatNumber(characters.length * cellHeight);
+  // Approximate ascent, so glyphs sit inside their row
+  const baseline = (cellHeight - fontSize) / 2 + fontSize * 0.8;
+  const parts: string[] = [];
+
+  parts.push(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+  );
+
+  if (background !== null) {
+    parts.push(`<rect width="100%" height="100%" fill="${escapeXml(background)}"/>`);
+  }
+
+  if (backgroundColors) {
+    parts.push('<g shape-rendering="crispEdges">');
+    backgroundColors.forEach((row, y) => {
+      const runs = splitRuns(row.length, (x) => row[x] ? fillAttributes(row[x]) : '');
+      for (const run of runs) {
+        if (!run.key) continue;
+        parts.push(
+          `<rect x="${formatNumber(run.start * cellWidth)}" y="${formatNumber(y * cellHeight)}" ` +
+          `width="${formatNumber((run.end - run.start) * cellWidth)}" height="${formatNumber(cellHeight)}" ${run.key}/>`
+        );
+      }
+    });
+    parts.push('</g>');
+  }
+
+  parts.push(
+    `<g font-family="${escapeXml(fontFamily)}" font-size="${formatNumber(fontSize)}" ` +
+    `fill="${escapeXml(textColor)}" xml:space="preserve">`
+  );
+
+  characters.forEach((row, y) => {
+    const colorRow = colors?.[y];
+    const runs = splitRuns(row.length, (x) => colorRow?.[x] ? fillAttributes(colorRow[x]) : '');
+    const spans: string[] = [];
+
+    for (const run of runs) {
+      const text = row.slice(run.start, run.end).join('');
+      // Blank runs only move the pen, so they can be dropped
+      if (text.trim() === '') continue;
+
+      const fill = run.key ? ` ${run.key}` : '';
+      spans.push(
+        `<tspan x="${formatNumber(run.start * cellWidth)}" ` +
+        `textLength="${formatNumber((run.end - run.start) * cellWidth)}" lengthAdjust="spacing"${fill}>` +
+        `${escapeXml(text)}</tspan>`
+      );
+    }
+
+    if (spans.length > 0) {
+      parts.push(`<text y="${formatNumber(y * cellHeight + baseline)}">${spans.join('')}</text>`);
+    }
+  });
+
+  parts.push('</g>', '</svg>');
+
+  return parts.join('\n');
+}
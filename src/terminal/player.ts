@@ -0,0 +1,430 @@
+/**
+ * Terminal animation player for ASCII frame sequences (Node.js)
+ * @module terminal/player
+ */
+
+import type { AsciiOutput } from '../types/interfaces';
+import { renderAnsi } from '../renderers/ansi';
+import type { AnsiRenderOptions } from '../renderers/ansi';
+
+/**
+ * Writable side of a terminal, e.g. `process.stdout`
+ */
+export interface TerminalOutputStream {
+  write(chunk: string): unknown;
+  isTTY?: boolean;
+}
+
+/**
+ * Readable side of a terminal, e.g. `process.stdin`
+ */
+export interface TerminalInputStream {
+  isTTY?: boolean;
+  setRawMode?(mode: boolean): unknown;
+  on(event: 'data', listener: (data: string | Uint8Array) => void): unknown;
+  removeListener(event: 'data', listener: (data: string | Uint8Array) => void): unknown;
+  resume?(): unknown;
+  pause?(): unknown;
+}
+
+/**
+ * Frames to play: any (async) iterable of conversion results, or a function
+ * returning a fresh one for every loop
+ */
+export type FrameSource =
+  | Iterable<AsciiOutput>
+  | AsyncIterable<AsciiOutput>
+  | (() => Iterable<AsciiOutput> | AsyncIterable<AsciiOutput>);
+
+/**
+ * Options for TerminalPlayer
+ */
+export interface TerminalPlayerOptions {
+  /**
+   * Target frames per second
+   * @default 24
+   */
+  fps?: number;
+
+  /**
+   * Repeat playback: true loops forever, a number plays the sequence that many times
+   * One-shot iterators (e.g. generator objects) can only be looped when passed
+   * as a function that creates a new one
+   * @default false
+   */
+  loop?: boolean | number;
+
+  /**
+   * ANSI options for frames with colors
+   */
+  ansi?: AnsiRenderOptions;
+
+  /**
+   * Stream to draw on
+   * @default process.stdout
+   */
+  output?: TerminalOutputStream;
+
+  /**
+   * Stream to read key presses from
+   * @default process.stdin
+   */
+  input?: TerminalInputStream;
+
+  /**
+   * Handle key presses when the input is a TTY:
+   * space or p pauses/resumes, q or Esc stops, Ctrl+C interrupts
+   * @default true
+   */
+  controls?: boolean;
+
+  /**
+   * Play on the terminal's alternate screen, restoring the previous contents afterwards
+   * When false the last frame stays visible
+   * @default true
+   */
+  alternateScreen?: boolean;
+
+  /**
+   * Exit the process with code 130 after restoring the terminal on Ctrl+C / SIGINT
+   * When false, playback stops and play() resolves instead
+   * @default true
+   */
+  exitOnInterrupt?: boolean;
+}
+
+/**
+ * The subset of Node.js `process` used by the player
+ */
+interface NodeProcess {
+  stdout?: TerminalOutputStream;
+  stdin?: TerminalInputStream;
+  on(event: string, listener: () => void): unknown;
+  removeListener(event: string, listener: () => void): unknown;
+  exit(code: number): void;
+}
+
+const MAX_FPS = 120;
+
+const ESC = '\u001b[';
+const HIDE_CURSOR = `${ESC}?25l`;
+const SHOW_CURSOR = `${ESC}?25h`;
+const ENTER_ALTERNATE_SCREEN = `${ESC}?1049h`;
+const LEAVE_ALTERNATE_SCREEN = `${ESC}?1049l`;
+const CLEAR_SCREEN = `${ESC}2J${ESC}H`;
+const CLEAR_LINE_END = `${ESC}K`;
+const CLEAR_SCREEN_END = `${ESC}J`;
+
+const KEY_CTRL_C = '\u0003';
+const KEY_ESCAPE = '\u001b';
+
+function getProcess(): NodeProcess | undefined {
+  return (globalThis as { process?: NodeProcess }).process;
+}
+
+/**
+ * Plays a sequence of ASCII frames in a terminal
+ *
+ * Hides the cursor, draws each frame at the target FPS and only rewrites the
+ * lines that changed since the previous frame. The terminal is restored when
+ * playback ends, is stopped, or is interrupted with Ctrl+C / SIGINT.
+ *
+ * @example
+ * ```typescript
+ * const generator = new AsciiGenerator({ colored: true, mode: 'halfblock', width: 80 });
+ * const frames = rawFrames.map(frame => generator.convertImage(frame));
+ *
+ * await new TerminalPlayer(frames, { fps: 15, loop: true }).play();
+ * ```
+ */
+export class TerminalPlayer {
+  private readonly source: FrameSource;
+  private readonly fps: number;
+  private readonly plays: number;
+  private readonly ansiOptions: AnsiRenderOptions;
+  private readonly output: TerminalOutputStream;
+  private readonly input: TerminalInputStream | undefined;
+  private readonly controls: boolean;
+  private readonly alternateScreen: boolean;
+  private readonly exitOnInterrupt: boolean;
+
+  private playing = false;
+  private active = false;
+  private stopped = false;
+  private isPaused = false;
+  private rawMode = false;
+  private previousLines: string[] = [];
+  private nextFrameAt = 0;
+  private framesDrawn = 0;
+  private wake: (() => void) | null = null;
+
+  /**
+   * Creates a player
+   *
+   * @param frames - Frames to play
+   * @param options - Playback options
+   * @throws Error if options are invalid or no output stream is available
+   */
+  constructor(frames: FrameSource, options: TerminalPlayerOptions = {}) {
+    const {
+      fps = 24,
+      loop = false,
+      ansi = {},
+      controls = true,
+      alternateScreen = true,
+      exitOnInterrupt = true
+    } = options;
+
+    if (!Number.isFinite(fps) || fps <= 0 || fps > MAX_FPS) {
+      throw new Error(`FPS must be greater than 0 and at most ${MAX_FPS}`);
+    }
+    if (typeof loop === 'number' && (!Number.isInteger(loop) || loop < 1)) {
+      throw new Error('Loop count must be a positive integer');
+    }
+
+    const output = options.output ?? getProcess()?.stdout;
+    if (!output) {
+      throw new Error('TerminalPlayer needs an output stream (process.stdout is not available)');
+    }
+
+    this.source = frames;
+    this.fps = fps;
+    this.plays = loop === true ? Infinity : loop === false ? 1 : loop;
+    this.ansiOptions = ansi;
+    this.output = output;
+    this.input = options.input ?? getProcess()?.stdin;
+    this.controls = controls;
+    this.alternateScreen = alternateScreen;
+    this.exitOnInterrupt = exitOnInterrupt;
+  }
+
+  /**
+   * Whether playback is paused
+   */
+  get paused(): boolean {
+    return this.isPaused;
+  }
+
+  /**
+   * Number of frames drawn by the current or last play() call
+   */
+  get frameCount(): number {
+    return this.framesDrawn;
+  }
+
+  /**
+   * Plays the frames until they run out, stop() is called or playback is interrupted
+   *
+   * @returns Promise that resolves once the terminal has been restored
+   * @throws Error if the player is already playing, or rethrows errors from the frame source
+   */
+  async play(): Promise<void> {
+    if (this.playing) {
+      throw new Error('TerminalPlayer is already playing');
+    }
+
+    this.playing = true;
+    this.stopped = false;
+    this.isPaused = false;
+    this.previousLines = [];
+    this.framesDrawn = 0;
+    this.setup();
+
+    try {
+      for (let pass = 0; pass < this.plays && !this.stopped; pass++) {
+        const frames = typeof this.source === 'function' ? this.source() : this.source;
+        let drawn = 0;
+
+        for await (const frame of frames) {
+          await this.waitForNextFrame();
+          if (this.stopped) break;
+
+          this.draw(frame);
+          drawn++;
+        }
+
+        // A one-shot iterator is exhausted after the first pass
+        if (drawn === 0) break;
+      }
+    } finally {
+      this.teardown();
+      this.playing = false;
+    }
+  }
+
+  /**
+   * Pauses playback on the current frame
+   */
+  pause(): void {
+    this.isPaused = true;
+  }
+
+  /**
+   * Resumes paused playback
+   */
+  resume(): void {
+    if (this.isPaused) {
+      this.isPaused = false;
+      this.wakeUp();
+    }
+  }
+
+  /**
+   * Toggles between paused and playing
+   */
+  togglePause(): void {
+    if (this.isPaused) {
+      this.resume();
+    } else {
+      this.pause();
+    }
+  }
+
+  /**
+   * Stops playback; play() resolves after restoring the terminal
+   */
+  stop(): void {
+    this.stopped = true;
+    this.wakeUp();
+  }
+
+  /**
+   * Draws a frame, rewriting only lines that differ from the previous frame
+   */
+  private draw(frame: AsciiOutput): void {
+    const lines = renderAnsi(frame, this.ansiOptions).split('\n');
+    let chunk = '';
+
+    for (let i = 0; i < lines.length; i++) {
+      if (lines[i] !== this.previousLines[i]) {
+        chunk += `${ESC}${i + 1};1H${lines[i]}${CLEAR_LINE_END}`;
+      }
+    }
+    if (lines.length < this.previousLines.length) {
+      chunk += `${ESC}${lines.length + 1};1H${CLEAR_SCREEN_END}`;
+    }
+
+    if (chunk) {
+      this.output.write(chunk);
+    }
+    this.previousLines = lines;
+    this.framesDrawn++;
+  }
+
+  /**
+   * Waits while paused, then until the next frame is due
+   */
+  private async waitForNextFrame(): Promise<void> {
+    const interval = 1000 / this.fps;
+
+    while (this.isPaused && !this.stopped) {
+      await new Promise<void>(resolve => { this.wake = resolve; });
+      this.nextFrameAt = 0;
+    }
+
+    const now = Date.now();
+    if (this.nextFrameAt === 0 || now - this.nextFrameAt > interval) {
+      // First frame, after a pause, or too far behind: restart the schedule
+      this.nextFrameAt = now;
+    }
+
+    const delay = this.nextFrameAt - now;
+    if (delay > 0 && !this.stopped) {
+      await new Promise<void>(resolve => {
+        const timer = setTimeout(resolve, delay);
+        this.wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+    }
+
+    this.wake = null;
+    this.nextFrameAt += interval;
+
+    // Pausing during the wait holds the frame until resumed
+    if (this.isPaused && !this.stopped) {
+      await this.waitForNextFrame();
+    }
+  }
+
+  private wakeUp(): void {
+    const wake = this.wake;
+    this.wake = null;
+    wake?.();
+  }
+
+  /**
+   * Prepares the terminal and installs key and signal handlers
+   */
+  private setup(): void {
+    this.active = true;
+    this.nextFrameAt = 0;
+    this.output.write((this.alternateScreen ? ENTER_ALTERNATE_SCREEN : '') + HIDE_CURSOR + CLEAR_SCREEN);
+
+    const input = this.input;
+    if (this.controls && input?.isTTY && input.setRawMode) {
+      input.setRawMode(true);
+      this.rawMode = true;
+      input.on('data', this.handleKey);
+      input.resume?.();
+    }
+
+    const nodeProcess = getProcess();
+    nodeProcess?.on('SIGINT', this.handleInterrupt);
+    nodeProcess?.on('exit', this.restoreTerminal);
+  }
+
+  /**
+   * Removes handlers and restores the terminal (idempotent)
+   */
+  private teardown(): void {
+    if (!this.active) return;
+
+    const nodeProcess = getProcess();
+    nodeProcess?.removeListener('SIGINT', this.handleInterrupt);
+    nodeProcess?.removeListener('exit', this.restoreTerminal);
+
+    if (this.rawMode && this.input) {
+      this.input.removeListener('data', this.handleKey);
+      this.input.setRawMode?.(false);
+      this.input.pause?.();
+      this.rawMode = false;
+    }
+
+    this.restoreTerminal();
+  }
+
+  /**
+   * Shows the cursor and leaves the alternate screen, or moves below the last frame
+   */
+  private readonly restoreTerminal = (): void => {
+    if (!this.active) return;
+    this.active = false;
+
+    this.output.write(
+      (this.alternateScreen ? LEAVE_ALTERNATE_SCREEN : `${ESC}${this.previousLines.length + 1};1H`) + SHOW_CURSOR
+    );
+  };
+
+  private readonly handleKey = (data: string | Uint8Array): void => {
+    const key = typeof data === 'string' ? data : String.fromCharCode(...data);
+
+    if (key === KEY_CTRL_C) {
+      this.handleInterrupt();
+    } else if (key === ' ' || key === 'p') {
+      this.togglePause();
+    } else if (key === 'q' || key === KEY_ESCAPE) {
+      this.stop();
+    }
+  };
+
+  private readonly handleInterrupt = (): void => {
+    this.stop();
+    this.teardown();
+
+    if (this.exitOnInterrupt) {
+      getProcess()?.exit(130);
+    }
+  };
+}
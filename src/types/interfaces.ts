@@ -3,10 +3,36 @@
  * @module types/interfaces
  */
 
+/**
+ * Raw RGBA pixels (4 bytes per pixel, row-major)
+ * Works without a DOM, e.g. decoded images in Node.js. A Buffer is a Uint8Array.
+ */
+export interface RawImageData {
+  data: Uint8Array | Uint8ClampedArray;
+  width: number;
+  height: number;
+}
+
 /**
  * Supported input types for ASCII conversion
+ * ImageBitmap, OffscreenCanvas and VideoFrame also work in Web Workers, where
+ * they are drawn on an OffscreenCanvas. HTMLImageElement includes SVG images.
  */
-export type ImageSource = HTMLImageElement | HTMLVideoElement | HTMLCanvasElement | ImageData;
+export type ImageSource =
+  | HTMLImageElement
+  | HTMLVideoElement
+  | HTMLCanvasElement
+  | ImageBitmap
+  | OffscreenCanvas
+  | VideoFrame
+  | ImageData
+  | RawImageData;
+
+/**
+ * Renders text to RGBA pixels for convertText without a DOM canvas
+ * Receives the text and the resolved text options
+ */
+export type TextRenderer = (text: string, options: Required<TextToAsciiOptions>) => RawImageData;
 
 /**
  * Predefined character sets for ASCII rendering
@@ -34,6 +60,152 @@ export const CHARSET_MAP: Record<Exclude<CharsetPreset, CharsetPreset.CUSTOM>, s
   [CharsetPreset.EXTENDED]: '$@B%8&WM#*oahkbdpqwmZO0QLCJUYXzcvunxrjft/\\|()1{}[]?-_+~<>i!lI;:,"^`\'. '
 };
 
+/**
+ * Rendering modes that control how pixels are turned into characters
+ * - 'ascii': one sample per cell mapped through the charset by luminance
+ * - 'braille': Unicode Braille patterns with 2x4 sub-pixel dots per cell
+ * - 'halfblock': ▀/▄ glyphs covering two vertically stacked pixels per cell
+ * - 'edges': Sobel edge directions drawn with | / - \ _, luminance ramp elsewhere
+ * - 'shape': charset glyph whose rasterized bitmap best matches each cell
+ */
+export type RenderMode = 'ascii' | 'braille' | 'halfblock' | 'edges' | 'shape';
+
+/**
+ * Dithering methods for quantizing brightness onto a charset
+ * - 'none': plain nearest-level mapping
+ * - 'floyd-steinberg', 'atkinson', 'jarvis-judice-ninke': error diffusion
+ * - 'bayer2', 'bayer4', 'bayer8': ordered dithering with a Bayer matrix
+ */
+export type DitherMethod =
+  | 'none'
+  | 'floyd-steinberg'
+  | 'atkinson'
+  | 'jarvis-judice-ninke'
+  | 'bayer2'
+  | 'bayer4'
+  | 'bayer8';
+
+/**
+ * A single image preprocessing step, run on the resized pixel data
+ * before characters are picked
+ */
+export type PreprocessStep =
+  /** Shift brightness by amount * 255 (-1 to 1) */
+  | { type: 'brightness'; amount: number }
+  /** Scale contrast around mid-grey (-1 flattens, 0 unchanged, 1 maximal) */
+  | { type: 'contrast'; amount: number }
+  /** Gamma correction; values above 1 brighten mid-tones */
+  | { type: 'gamma'; value: number }
+  /**
+   * Stretch black and white points to the full range
+   * Points that are left out are detected from the histogram, ignoring the
+   * darkest and brightest `clip` fraction of pixels (default 0.005)
+   */
+  | { type: 'levels'; black?: number; white?: number; clip?: number }
+  /** Unsharp mask with Gaussian radius (sigma, default 1) and amount (default 1) */
+  | { type: 'sharpen'; amount?: number; radius?: number }
+  /** Gaussian blur with the given radius (sigma) in pixels */
+  | { type: 'blur'; radius: number }
+  /** Replace color with luminance */
+  | { type: 'grayscale' }
+  /**
+   * Contrast-limited adaptive histogram equalization over a grid of tiles
+   * (defaults: 8x8 tiles, clip limit 2). For video, temporalSmoothing (0-1)
+   * blends each tile's mapping with the previous frame's to avoid flicker
+   */
+  | { type: 'clahe'; tilesX?: number; tilesY?: number; clipLimit?: number; temporalSmoothing?: number };
+
+/**
+ * Built-in models for computing brightness from a color
+ * - 'rec601': 0.299R + 0.587G + 0.114B (default)
+ * - 'rec709': 0.2126R + 0.7152G + 0.0722B
+ * - 'rec2020': 0.2627R + 0.6780G + 0.0593B
+ * - 'linear': Rec. 709 luminance of sRGB-decoded (linear light) channels
+ * - 'lab': perceptual CIELAB L*
+ * - 'hsv': HSV value, max(R, G, B)
+ * - 'red', 'green', 'blue', 'alpha': a single channel
+ */
+export type LuminanceModel =
+  | 'rec601'
+  | 'rec709'
+  | 'rec2020'
+  | 'linear'
+  | 'lab'
+  | 'hsv'
+  | 'red'
+  | 'green'
+  | 'blue'
+  | 'alpha';
+
+/**
+ * Custom brightness function; receives channels 0-255 and returns 0-255
+ */
+export type LuminanceFunction = (r: number, g: number, b: number, a: number) => number;
+
+/**
+ * Built-in color palettes for quantized output
+ * - 'ansi16': the 16 standard terminal colors (xterm defaults)
+ * - 'xterm256': the xterm 256-color palette (ANSI 16, 6x6x6 cube, 24 greys)
+ * - 'websafe': the 216-color web-safe palette
+ */
+export type PalettePreset = 'ansi16' | 'xterm256' | 'websafe';
+
+/**
+ * Custom palette entry: a '#rrggbb' / '#rgb' hex string or RGB channels (0-255)
+ */
+export type PaletteColor = string | { r: number; g: number; b: number };
+
+/**
+ * Distance metric used to find the nearest palette color
+ * - 'oklab': Euclidean distance in OKLab (fast, perceptual)
+ * - 'ciede2000': CIEDE2000 difference in CIELAB (most accurate, slower)
+ * - 'rgb': Euclidean distance in sRGB
+ */
+export type ColorDistanceMetric = 'oklab' | 'ciede2000' | 'rgb';
+
+/**
+ * Options for rendering ASCII output as HTML
+ */
+export interface HtmlRenderOptions {
+  /**
+   * Wrapper element
+   * @default 'pre'
+   */
+  element?: 'pre' | 'div' | 'code';
+
+  /**
+   * Emit CSS classes plus a stylesheet instead of inline styles
+   * Produces markup without any `style` attributes, for strict
+   * Content-Security-Policy setups
+   * @default false
+   */
+  useClasses?: boolean;
+
+  /**
+   * Prefix for generated class names
+   * @default 'ascii-'
+   */
+  classPrefix?: string;
+
+  /**
+   * CSS font-family of the wrapper
+   * @default 'monospace'
+   */
+  fontFamily?: string;
+
+  /**
+   * CSS line-height of the wrapper (numbers are unitless)
+   * @default 1
+   */
+  lineHeight?: number | string;
+
+  /**
+   * CSS background of the wrapper; null for none
+   * @default '#000' for colored output, null otherwise
+   */
+  background?: string | null;
+}
+
 /**
  * Configuration options for the ASCII generator
  */
@@ -80,6 +252,86 @@ export interface AsciiConfig {
    * @default true
    */
   optimized?: boolean;
+
+  /**
+   * Rendering mode used to build each character cell
+   * @default 'ascii'
+   */
+  mode?: RenderMode;
+
+  /**
+   * Luminance cutoff (0-255) for modes that switch dots on or off
+   * ('braille', 'halfblock'). Pixels darker than the threshold count as ink
+   * (lighter ones when inverted)
+   * @default 128
+   */
+  threshold?: number;
+
+  /**
+   * Minimum gradient strength (0-255) for a cell to be drawn as an edge in
+   * 'edges' mode. A full black-to-white step scores 255; lower values pick up
+   * softer outlines, higher values keep only hard edges
+   * @default 64
+   */
+  edgeThreshold?: number;
+
+  /**
+   * Font family used to rasterize charset glyphs in 'shape' mode
+   * Should match the font the output is displayed with
+   * @default 'monospace'
+   */
+  glyphFont?: string;
+
+  /**
+   * Dithering applied when mapping brightness to charset characters in 'ascii' mode
+   * Smooths gradients on short charsets such as MINIMAL or BLOCK. When a
+   * palette is set, colors are dithered onto the palette as well, in any mode.
+   * The 'braille', 'halfblock', 'edges' and 'shape' modes pick their characters
+   * without dithering, so without a palette the option has no effect there.
+   * @default 'none'
+   */
+  dither?: DitherMethod;
+
+  /**
+   * Ordered preprocessing steps applied to the resized pixel data before
+   * conversion, e.g. [{ type: 'levels' }, { type: 'gamma', value: 1.4 }]
+   * @default []
+   */
+  preprocess?: PreprocessStep[];
+
+  /**
+   * How brightness is computed from each sampled color before characters are picked
+   * A built-in model name or a custom (r, g, b, a) => 0-255 function
+   * @default 'rec601'
+   */
+  luminance?: LuminanceModel | LuminanceFunction;
+
+  /**
+   * Palette that colored output is snapped to, as a preset name or a custom
+   * color list. null keeps full 24-bit colors
+   * @default null
+   */
+  palette?: PalettePreset | PaletteColor[] | null;
+
+  /**
+   * Metric used to pick the nearest palette color
+   * @default 'oklab'
+   */
+  paletteMetric?: ColorDistanceMetric;
+
+  /**
+   * Markup options for the `html` output: wrapper element, CSS classes
+   * instead of inline styles, font, line-height and background
+   * @default {}
+   */
+  htmlOptions?: HtmlRenderOptions;
+
+  /**
+   * Renders text to pixels for convertText instead of a DOM canvas
+   * Needed in Node.js, e.g. backed by node-canvas. null uses the DOM canvas
+   * @default null
+   */
+  textRenderer?: TextRenderer | null;
 }
 
 /**
@@ -103,6 +355,16 @@ export interface AsciiMetadata {
 
   /** Whether color data is included */
   hasColor: boolean;
+
+  /**
+   * Rendering mode used
+   * This and luminanceModel are always set by AsciiGenerator, but optional so
+   * metadata built or mocked by earlier code stays valid
+   */
+  mode?: RenderMode;
+
+  /** Luminance model used ('custom' for user-supplied functions) */
+  luminanceModel?: LuminanceModel | 'custom';
 }
 
 /**
@@ -137,6 +399,12 @@ export interface AsciiOutput {
    */
   html: string;
 
+  /**
+   * Stylesheet for the classes used in `html`
+   * Only present when htmlOptions.useClasses is true
+   */
+  css?: string;
+
   /**
    * 2D array of characters for programmatic access
    */
@@ -148,6 +416,23 @@ export interface AsciiOutput {
    */
   colors?: CharColor[][];
 
+  /**
+   * 2D array of per-cell background colors
+   * Only present for modes that paint cell backgrounds ('halfblock' with colored: true)
+   */
+  backgroundColors?: CharColor[][];
+
+  /**
+   * 2D array of palette indices matching `colors` (if a palette is set)
+   * For preset palettes the index is the terminal color number
+   */
+  paletteIndices?: number[][];
+
+  /**
+   * 2D array of palette indices matching `backgroundColors` (if a palette is set)
+   */
+  backgroundPaletteIndices?: number[][];
+
   /**
    * Metadata about the conversion
    */
@@ -201,6 +486,25 @@ export interface TextToAsciiOptions {
   padding?: number;
 }
 
+/**
+ * Options for AsciiGenerator.convertImageAsync
+ */
+export interface AsyncConvertOptions {
+  /**
+   * Cancels the conversion; the promise rejects with the signal's reason
+   */
+  signal?: AbortSignal;
+}
+
+/**
+ * Internal utility type for a single resolved character cell
+ */
+export interface CellSample {
+  char: string;
+  color: CharColor;
+  background?: CharColor;
+}
+
 /**
  * Internal utility type for pixel data processing
  */
@@ -0,0 +1,107 @@
+/**
+ * Unicode Braille pattern helpers for sub-pixel rendering
+ * @module utils/braille
+ */
+
+import type { CellSample, CharColor, LuminanceFunction, PixelData } from '../types/interfaces';
+import { calculateLuminance, samplePixelColor } from './canvas-helpers';
+
+/** Code point of the blank Braille pattern (U+2800) */
+export const BRAILLE_BASE = 0x2800;
+
+/** Source pixels covered horizontally by one Braille cell */
+export const BRAILLE_CELL_WIDTH = 2;
+
+/** Source pixels covered vertically by one Braille cell */
+export const BRAILLE_CELL_HEIGHT = 4;
+
+/**
+ * Dot bit for each position in a cell, indexed [row][column]
+ * Follows Unicode dot numbering: 1-2-3-7 down the left, 4-5-6-8 down the right
+ */
+const DOT_BITS: ReadonlyArray<readonly [number, number]> = [
+  [0x01, 0x08],
+  [0x02, 0x10],
+  [0x04, 0x20],
+  [0x40, 0x80]
+];
+
+/**
+ * Converts an 8-bit dot mask into its Braille pattern character
+ *
+ * @param dots - Bit mask of raised dots (bit 0 = dot 1 ... bit 7 = dot 8)
+ * @returns Single Braille character (U+2800-U+28FF)
+ */
+export function dotsToBraille(dots: number): string {
+  return String.fromCharCode(BRAILLE_BASE + (dots & 0xff));
+}
+
+/**
+ * Samples a 2x4 block of sub-pixels and builds the Braille character for it
+ * The grid is treated as (gridWidth * 2) x (gridHeight * 4) sub-pixels laid over
+ * the pixel data, so any source size can be sampled.
+ *
+ * @param pixelData - Source pixel data
+ * @param gridX - X position in character grid
+ * @param gridY - Y position in character grid
+ * @param gridWidth - Total grid width in characters
+ * @param gridHeight - Total grid height in characters
+ * @param threshold - Luminance cutoff (0-255) for raising a dot
+ * @param inverted - Raise dots for light pixels instead of dark ones
+ * @param luminanceFn - Brightness function (defaults to Rec. 601)
+ * @returns Braille character and the average color of its raised dots
+ */
+export function sampleBrailleCell(
+  pixelData: PixelData,
+  gridX: number,
+  gridY: number,
+  gridWidth: number,
+  gridHeight: number,
+  threshold: number = 128,
+  inverted: boolean = false,
+  luminanceFn: LuminanceFunction = calculateLuminance
+): CellSample {
+  const subWidth = gridWidth * BRAILLE_CELL_WIDTH;
+  const subHeight = gridHeight * BRAILLE_CELL_HEIGHT;
+
+  let dots = 0;
+  let r = 0, g = 0, b = 0, a = 0;
+  let raised = 0;
+  let allR = 0, allG = 0, allB = 0, allA = 0;
+
+  for (let dy = 0; dy < BRAILLE_CELL_HEIGHT; dy++) {
+    for (let dx = 0; dx < BRAILLE_CELL_WIDTH; dx++) {
+      const color = samplePixelColor(
+        pixelData,
+        gridX * BRAILLE_CELL_WIDTH + dx,
+        gridY * BRAILLE_CELL_HEIGHT + dy,
+        subWidth,
+        subHeight
+      );
+      const luminance = luminanceFn(color.r, color.g, color.b, color.a);
+      const isRaised = inverted ? luminance >= threshold : luminance < threshold;
+
+      allR += color.r;
+      allG += color.g;
+      allB += color.b;
+      allA += color.a;
+
+      if (isRaised) {
+        dots |= DOT_BITS[dy][dx];
+        r += color.r;
+        g += color.g;
+        b += color.b;
+        a += color.a;
+        raised++;
+      }
+    }
+  }
+
+  // Blank cells fall back to the average of the whole block
+  const count = raised > 0 ? raised : BRAILLE_CELL_WIDTH * BRAILLE_CELL_HEIGHT;
+  const color: CharColor = raised > 0
+    ? { r: Math.floor(r / count), g: Math.floor(g / count), b: Math.floor(b / count), a: Math.floor(a / count) }
+    : { r: Math.floor(allR / count), g: Math.floor(allG / count), b: Math.floor(allB / count), a: Math.floor(allA / count) };
+
+  return { char: dotsToBraille(dots), color };
+}
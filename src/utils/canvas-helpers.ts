@@ -3,15 +3,164 @@
  * @module utils/canvas-helpers
  */
 
-import type { ImageSource, PixelData } from '../types/interfaces';
+import type { ImageSource, PixelData, RawImageData } from '../types/interfaces';
 
 // Security limits to prevent DoS attacks
 const MAX_DIMENSION = 10000;
 const MAX_PIXELS = 25000000; // 5000x5000
 
+/**
+ * 2D context of a DOM canvas or an OffscreenCanvas
+ */
+export type ScratchContext = CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D;
+
+/**
+ * Throws a descriptive error when no canvas is available (e.g. Node.js)
+ * A DOM canvas or, in workers, OffscreenCanvas is enough.
+ *
+ * @param feature - What needs the canvas, used in the error message
+ * @param hint - Optional alternative to suggest in the error message
+ * @throws Error if neither `document` nor `OffscreenCanvas` is defined
+ */
+export function assertCanvasAvailable(feature: string, hint: string = ''): void {
+  if (typeof document === 'undefined' && typeof OffscreenCanvas === 'undefined') {
+    throw new Error(`${feature} requires a canvas, but no DOM is available.${hint ? ` ${hint}` : ''}`);
+  }
+}
+
+/**
+ * Creates a canvas for drawing and reading back pixels
+ * Uses a DOM canvas when `document` exists and an OffscreenCanvas otherwise,
+ * so it also works in Web Workers. Call assertCanvasAvailable first.
+ *
+ * @param width - Canvas width in pixels
+ * @param height - Canvas height in pixels
+ * @param settings - Optional 2D context settings
+ * @returns The 2D context (its canvas is `ctx.canvas`), or null if unavailable
+ * @throws Error if the size exceeds the security limits
+ */
+export function createScratchContext(
+  width: number,
+  height: number,
+  settings?: CanvasRenderingContext2DSettings
+): ScratchContext | null {
+  // Security: Validate dimensions to prevent DoS
+  if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+    throw new Error(`Dimension exceeds maximum allowed (${MAX_DIMENSION})`);
+  }
+
+  if (width * height > MAX_PIXELS) {
+    throw new Error(`Total pixel count exceeds maximum allowed (${MAX_PIXELS})`);
+  }
+
+  if (typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas.getContext('2d', settings);
+  }
+  return new OffscreenCanvas(width, height).getContext('2d', settings);
+}
+
+/**
+ * Checks a value against a global constructor that may not exist in this
+ * environment (e.g. HTMLImageElement in a worker, VideoFrame in older browsers)
+ */
+function isInstanceOf<T>(value: unknown, name: string): value is T {
+  const constructor = (globalThis as Record<string, unknown>)[name];
+  return typeof constructor === 'function' && value instanceof (constructor as new () => unknown);
+}
+
+/**
+ * Gets the size a drawable source is drawn at
+ */
+function getSourceSize(source: Exclude<ImageSource, RawImageData>): { width: number; height: number } {
+  if (isInstanceOf<VideoFrame>(source, 'VideoFrame')) {
+    // The coded size may include padding; the display size is the visible picture
+    return { width: source.displayWidth, height: source.displayHeight };
+  }
+  if (isInstanceOf<HTMLVideoElement>(source, 'HTMLVideoElement')) {
+    return { width: source.width || source.videoWidth, height: source.height || source.videoHeight };
+  }
+  if (isInstanceOf<HTMLImageElement>(source, 'HTMLImageElement')) {
+    return { width: source.width || source.naturalWidth, height: source.height || source.naturalHeight };
+  }
+
+  // HTMLCanvasElement, OffscreenCanvas and ImageBitmap (0x0 once closed)
+  const { width, height } = source as HTMLCanvasElement | OffscreenCanvas | ImageBitmap;
+  return { width, height };
+}
+
+/**
+ * Checks whether a source is raw RGBA pixels (including ImageData)
+ *
+ * @param source - Image source to check
+ * @returns True for ImageData and { data, width, height } pixel buffers
+ */
+export function isRawImageData(source: unknown): source is RawImageData {
+  if (typeof ImageData !== 'undefined' && source instanceof ImageData) {
+    return true;
+  }
+
+  const candidate = source as Partial<RawImageData> | null;
+  return typeof candidate === 'object' && candidate !== null &&
+    (candidate.data instanceof Uint8Array || candidate.data instanceof Uint8ClampedArray) &&
+    typeof candidate.width === 'number' &&
+    typeof candidate.height === 'number';
+}
+
+/**
+ * Resizes pixel data without a canvas by averaging the source pixels under
+ * each target pixel (nearest pixel when enlarging)
+ *
+ * @param pixelData - Source pixel data
+ * @param width - Target width
+ * @param height - Target height
+ * @returns Resized pixel data (the source itself when the size is unchanged)
+ * @throws Error if the target size is invalid or exceeds security limits
+ */
+export function resizePixelData(pixelData: PixelData, width: number, height: number): PixelData {
+  if (width === pixelData.width && height === pixelData.height) {
+    return pixelData;
+  }
+
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+    throw new Error('Target width and height must be positive integers');
+  }
+
+  // Security: Validate dimensions to prevent DoS
+  if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+    throw new Error(`Dimension exceeds maximum allowed (${MAX_DIMENSION})`);
+  }
+
+  if (width * height > MAX_PIXELS) {
+    throw new Error(`Total pixel count exceeds maximum allowed (${MAX_PIXELS})`);
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const color = samplePixelColor(pixelData, x, y, width, height);
+      const index = (y * width + x) * 4;
+      data[index] = color.r;
+      data[index + 1] = color.g;
+      data[index + 2] = color.b;
+      data[index + 3] = color.a;
+    }
+  }
+
+  return { data, width, height };
+}
+
 /**
  * Extracts pixel data from various image sources
- * Handles HTMLImageElement, HTMLVideoElement, HTMLCanvasElement, and ImageData
+ * Handles HTMLImageElement (including SVG images), HTMLVideoElement,
+ * HTMLCanvasElement, ImageBitmap, OffscreenCanvas, WebCodecs VideoFrame,
+ * ImageData and raw { data, width, height } RGBA buffers. ImageData and raw
+ * buffers never touch a canvas, so they also work headless in Node.js. Other
+ * sources are drawn on a DOM canvas, or on an OffscreenCanvas when there is
+ * no `document` (e.g. in a Web Worker).
  *
  * @param source - The image source to extract data from
  * @param targetWidth - Optional target width for resizing
@@ -24,40 +173,49 @@ export function extractPixelData(
   targetWidth?: number,
   targetHeight?: number
 ): PixelData {
-  // Direct ImageData pass-through (already processed)
-  if (source instanceof ImageData) {
-    return {
-      data: source.data,
-      width: source.width,
-      height: source.height
-    };
-  }
+  // Raw pixels are used directly and resized without a canvas
+  if (isRawImageData(source)) {
+    const { width, height } = source;
 
-  // Create off-screen canvas for pixel extraction
-  const canvas = document.createElement('canvas');
-  const ctx = canvas.getContext('2d', {
-    willReadFrequently: true, // Performance hint for frequent getImageData calls
-    alpha: true
-  });
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+      throw new Error(`Source has invalid dimensions (${width}x${height})`);
+    }
 
-  if (!ctx) {
-    throw new Error('Unable to obtain 2D canvas context');
+    if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+      throw new Error(`Dimension exceeds maximum allowed (${MAX_DIMENSION})`);
+    }
+
+    if (width * height > MAX_PIXELS) {
+      throw new Error(`Total pixel count exceeds maximum allowed (${MAX_PIXELS})`);
+    }
+
+    if (source.data.length < width * height * 4) {
+      throw new Error(`Pixel buffer too small for ${width}x${height} RGBA data`);
+    }
+
+    // View the buffer as clamped bytes without copying
+    const data = source.data instanceof Uint8ClampedArray
+      ? source.data
+      : new Uint8ClampedArray(source.data.buffer, source.data.byteOffset, source.data.byteLength);
+
+    return resizePixelData({ data, width, height }, targetWidth ?? width, targetHeight ?? height);
   }
 
+  assertCanvasAvailable(
+    'Converting images, video, canvases, bitmaps and video frames',
+    'In Node.js, pass raw { data, width, height } RGBA pixels instead.'
+  );
+
   // Determine source dimensions
-  let sourceWidth: number;
-  let sourceHeight: number;
-
-  if (source instanceof HTMLCanvasElement) {
-    sourceWidth = source.width;
-    sourceHeight = source.height;
-  } else {
-    // HTMLImageElement or HTMLVideoElement
-    sourceWidth = source.width || (source as HTMLVideoElement).videoWidth || 0;
-    sourceHeight = source.height || (source as HTMLVideoElement).videoHeight || 0;
-  }
+  const { width: sourceWidth, height: sourceHeight } = getSourceSize(source);
 
-  if (sourceWidth === 0 || sourceHeight === 0) {
+  if (!sourceWidth || !sourceHeight) {
+    if (isInstanceOf<HTMLImageElement>(source, 'HTMLImageElement')) {
+      throw new Error(
+        'Image has no size (0x0). Wait for it to load; SVG images without intrinsic ' +
+        'dimensions need width and height attributes.'
+      );
+    }
     throw new Error('Source has invalid dimensions (0x0)');
   }
 
@@ -74,13 +232,21 @@ export function extractPixelData(
     throw new Error(`Total pixel count exceeds maximum allowed (${MAX_PIXELS})`);
   }
 
-  canvas.width = finalWidth;
-  canvas.height = finalHeight;
+  // Off-screen canvas for pixel extraction (OffscreenCanvas without a DOM)
+  const ctx = createScratchContext(finalWidth, finalHeight, {
+    willReadFrequently: true, // Performance hint for frequent getImageData calls
+    alpha: true
+  });
+
+  if (!ctx) {
+    throw new Error('Unable to obtain 2D canvas context');
+  }
 
-  // Draw and extract pixel data with CORS error handling
+  // Draw and extract pixel data with CORS error handling.
+  // Drawing at the target size rasterizes SVG images sharply at that size.
   try {
-    ctx.drawImage(source as CanvasImageSource, 0, 0, canvas.width, canvas.height);
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(source, 0, 0, finalWidth, finalHeight);
+    const imageData = ctx.getImageData(0, 0, finalWidth, finalHeight);
 
     return {
       data: imageData.data,
@@ -224,12 +390,13 @@ export function renderTextToCanvas(
   // Sanitize font family to prevent injection
   const sanitizedFont = font.replace(/["'`<>]/g, '');
 
-  const canvas = document.createElement('canvas');
-  const ctx = canvas.getContext('2d');
+  assertCanvasAvailable('Text rendering', 'In Node.js, set textRenderer in the AsciiGenerator config.');
+  const ctx = createScratchContext(1, 1);
 
   if (!ctx) {
     throw new Error('Unable to obtain 2D canvas context for text rendering');
   }
+  const canvas = ctx.canvas;
 
   // Configure font (ensure proper order: style weight size family)
   const fontString = `${fontStyle} ${fontWeight} ${fontSize}px "${sanitizedFont}"`;
@@ -284,8 +451,9 @@ export function samplePixelColor(
   // Calculate pixel boundaries for this grid cell
   const startX = Math.floor(gridX * cellWidth);
   const startY = Math.floor(gridY * cellHeight);
-  const endX = Math.floor((gridX + 1) * cellWidth);
-  const endY = Math.floor((gridY + 1) * cellHeight);
+  // Always cover at least one pixel when the grid is finer than the source
+  const endX = Math.max(startX + 1, Math.floor((gridX + 1) * cellWidth));
+  const endY = Math.max(startY + 1, Math.floor((gridY + 1) * cellHeight));
 
   let r = 0, g = 0, b = 0, a = 0;
   let sampleCount = 0;
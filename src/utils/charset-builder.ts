@@ -0,0 +1,175 @@
+/**
+ * Font-calibrated charset builder based on measured glyph ink density
+ * @module utils/charset-builder
+ */
+
+import { assertCanvasAvailable, calculateLuminance, createScratchContext } from './canvas-helpers';
+
+/**
+ * Options for building a calibrated charset
+ */
+export interface CharsetBuilderOptions {
+  /**
+   * Font family the output will be displayed with
+   * @default 'monospace'
+   */
+  font?: string;
+
+  /**
+   * Number of evenly spaced density levels in the result
+   * Defaults to the number of distinct usable candidates
+   */
+  levels?: number;
+
+  /**
+   * Font size in pixels used for measuring
+   * Larger sizes give more precise densities at a small cost
+   * @default 32
+   */
+  fontSize?: number;
+}
+
+/** Characters stripped from custom charsets by AsciiGenerator */
+const UNSAFE_CHARSET_CHARS = /[<>'"&`]/g;
+
+const MAX_FONT_SIZE = 1000;
+
+/** Measured densities keyed by font string, then by character */
+const densityCache = new Map<string, Map<string, number>>();
+
+/**
+ * Measures how much of a character cell a glyph covers with ink
+ * Measurements are cached per font and size.
+ *
+ * @param char - Character to measure
+ * @param font - Font family
+ * @param fontSize - Font size in pixels
+ * @returns Ink coverage of the cell (0 = blank, 1 = fully inked)
+ * @throws Error if canvas context unavailable
+ */
+export function measureGlyphDensity(
+  char: string,
+  font: string = 'monospace',
+  fontSize: number = 32
+): number {
+  if (fontSize > MAX_FONT_SIZE || fontSize < 1) {
+    throw new Error(`Font size must be between 1 and ${MAX_FONT_SIZE}`);
+  }
+
+  // Sanitize font family to prevent injection
+  const fontString = `${fontSize}px ${font.replace(/["'`<>]/g, '')}`;
+  let fontCache = densityCache.get(fontString);
+  if (!fontCache) {
+    fontCache = new Map();
+    densityCache.set(fontString, fontCache);
+  }
+
+  const cached = fontCache.get(char);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  assertCanvasAvailable('Glyph measurement');
+  const ctx = createScratchContext(1, 1, { willReadFrequently: true });
+
+  if (!ctx) {
+    throw new Error('Unable to obtain 2D canvas context for glyph measurement');
+  }
+  const canvas = ctx.canvas;
+
+  // One monospace cell: advance width by line height
+  ctx.font = fontString;
+  canvas.width = Math.max(1, Math.ceil(ctx.measureText('M').width));
+  canvas.height = Math.max(1, Math.ceil(fontSize * 1.2));
+
+  // Re-apply font after canvas resize (canvas context resets)
+  ctx.font = fontString;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = '#000000';
+  ctx.fillText(char, canvas.width / 2, canvas.height / 2);
+
+  const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  let ink = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    ink += 1 - calculateLuminance(data[i], data[i + 1], data[i + 2]) / 255;
+  }
+
+  const density = ink / (canvas.width * canvas.height);
+  fontCache.set(char, density);
+  return density;
+}
+
+/**
+ * Builds a charset ordered dark to light with evenly spaced density levels
+ *
+ * Each candidate glyph is measured on an offscreen canvas, then one glyph is
+ * picked per target level so neighbouring characters differ by roughly the same
+ * amount of ink. Characters that AsciiGenerator strips from custom charsets
+ * (<, >, ', ", &, `) are ignored, so the result can be passed straight to
+ * AsciiConfig.charset.
+ *
+ * @param candidates - Characters to choose from (duplicates are ignored)
+ * @param options - Font and level options
+ * @returns Charset string ordered from darkest to lightest
+ * @throws Error if fewer than two usable candidates are given
+ *
+ * @example
+ * ```typescript
+ * const charset = buildCharset(CHARSET_MAP[CharsetPreset.EXTENDED], {
+ *   font: 'Consolas',
+ *   levels: 16
+ * });
+ * const generator = new AsciiGenerator({ charset });
+ * ```
+ */
+export function buildCharset(candidates: string, options: CharsetBuilderOptions = {}): string {
+  const { font = 'monospace', fontSize = 32 } = options;
+
+  const chars = Array.from(new Set(Array.from(candidates.replace(UNSAFE_CHARSET_CHARS, ''))));
+  if (chars.length < 2) {
+    throw new Error('At least two usable candidate characters are required');
+  }
+
+  const levels = options.levels ?? chars.length;
+  if (!Number.isInteger(levels) || levels < 2 || levels > chars.length) {
+    throw new Error(`Levels must be an integer between 2 and ${chars.length}`);
+  }
+
+  const measured = chars
+    .map((char) => ({ char, density: measureGlyphDensity(char, font, fontSize) }))
+    .sort((a, b) => b.density - a.density);
+
+  const maxDensity = measured[0].density;
+  const minDensity = measured[measured.length - 1].density;
+  const range = maxDensity - minDensity || 1;
+
+  // Greedily take the closest unused glyph for each evenly spaced target
+  const used = new Set<number>();
+  const picked: Array<{ char: string; density: number }> = [];
+
+  for (let level = 0; level < levels; level++) {
+    const target = 1 - level / (levels - 1);
+    let bestIndex = -1;
+    let bestDistance = Infinity;
+
+    for (let i = 0; i < measured.length; i++) {
+      if (used.has(i)) continue;
+      const distance = Math.abs((measured[i].density - minDensity) / range - target);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        bestIndex = i;
+      }
+    }
+
+    used.add(bestIndex);
+    picked.push(measured[bestIndex]);
+  }
+
+  return picked
+    .sort((a, b) => b.density - a.density)
+    .map((entry) => entry.char)
+    .join('');
+}
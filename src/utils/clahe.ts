@@ -0,0 +1,146 @@
+/**
+ * Contrast-limited adaptive histogram equalization (CLAHE)
+ * @module utils/clahe
+ */
+
+import type { LuminanceFunction, PixelData } from '../types/interfaces';
+import { calculateLuminance } from './canvas-helpers';
+
+/**
+ * Options for adaptive contrast
+ */
+export interface ClaheOptions {
+  /** Number of tile columns (clamped to the image width) */
+  tilesX: number;
+
+  /** Number of tile rows (clamped to the image height) */
+  tilesY: number;
+
+  /** Histogram clip limit as a multiple of the average bin height */
+  clipLimit: number;
+
+  /**
+   * Weight (0-1) of the previous frame's tile mappings
+   * Blending mappings over time keeps video frames from flickering
+   */
+  temporalSmoothing: number;
+}
+
+/**
+ * Tile mappings kept between frames for temporal smoothing
+ */
+export interface ClaheState {
+  /** Layout the mappings belong to; mappings are only reused for the same layout */
+  key: string;
+
+  /** One 256-entry mapping per tile, row-major */
+  luts: Float32Array;
+}
+
+/**
+ * Applies CLAHE to the luminance of pixel data in place
+ *
+ * The image is split into tiles; each tile gets its own equalization curve from
+ * a clipped histogram, and every pixel blends the curves of the four nearest
+ * tile centers. The luminance change is added to all RGB channels, which shifts
+ * luminance by exactly that amount for weighted-sum models (Rec. 601, 709 and
+ * 2020) while keeping hue differences; other models follow approximately.
+ *
+ * @param pixelData - Pixel data to modify
+ * @param options - Tile layout, clip limit and smoothing
+ * @param previous - Mappings from the previous frame, if any
+ * @param luminanceFn - Luminance model to equalize, matching the one used for character mapping
+ * @returns Mappings used for this frame, to pass in with the next one
+ */
+export function applyClahe(
+  pixelData: PixelData,
+  options: ClaheOptions,
+  previous?: ClaheState,
+  luminanceFn: LuminanceFunction = calculateLuminance
+): ClaheState {
+  const { data, width, height } = pixelData;
+  const tilesX = Math.max(1, Math.min(options.tilesX, width));
+  const tilesY = Math.max(1, Math.min(options.tilesY, height));
+  const tileWidth = width / tilesX;
+  const tileHeight = height / tilesY;
+
+  const luminance = new Uint8Array(width * height);
+  for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+    luminance[p] = Math.max(0, Math.min(255, Math.round(luminanceFn(data[i], data[i + 1], data[i + 2], data[i + 3]))));
+  }
+
+  // Build one clipped, equalized mapping per tile
+  const luts = new Float32Array(tilesX * tilesY * 256);
+  const histogram = new Float32Array(256);
+
+  for (let ty = 0; ty < tilesY; ty++) {
+    for (let tx = 0; tx < tilesX; tx++) {
+      const startX = Math.floor(tx * tileWidth);
+      const endX = Math.max(startX + 1, Math.floor((tx + 1) * tileWidth));
+      const startY = Math.floor(ty * tileHeight);
+      const endY = Math.max(startY + 1, Math.floor((ty + 1) * tileHeight));
+      const count = (endX - startX) * (endY - startY);
+
+      histogram.fill(0);
+      for (let y = startY; y < endY; y++) {
+        for (let x = startX; x < endX; x++) {
+          histogram[luminance[y * width + x]]++;
+        }
+      }
+
+      // Clip tall bins and spread the excess evenly across all bins
+      const limit = Math.max(1, options.clipLimit * count / 256);
+      let excess = 0;
+      for (let v = 0; v < 256; v++) {
+        if (histogram[v] > limit) {
+          excess += histogram[v] - limit;
+          histogram[v] = limit;
+        }
+      }
+      const share = excess / 256;
+
+      const offset = (ty * tilesX + tx) * 256;
+      let cumulative = 0;
+      for (let v = 0; v < 256; v++) {
+        cumulative += histogram[v] + share;
+        luts[offset + v] = cumulative * 255 / count;
+      }
+    }
+  }
+
+  const key = `${width}x${height}:${tilesX}x${tilesY}`;
+  const smoothing = options.temporalSmoothing;
+  if (previous && previous.key === key && smoothing > 0) {
+    for (let i = 0; i < luts.length; i++) {
+      luts[i] = smoothing * previous.luts[i] + (1 - smoothing) * luts[i];
+    }
+  }
+
+  // Bilinearly interpolate between the four nearest tile centers
+  for (let y = 0; y < height; y++) {
+    const gy = Math.min(tilesY - 1, Math.max(0, (y + 0.5) / tileHeight - 0.5));
+    const ty0 = Math.floor(gy);
+    const ty1 = Math.min(tilesY - 1, ty0 + 1);
+    const fy = gy - ty0;
+
+    for (let x = 0; x < width; x++) {
+      const gx = Math.min(tilesX - 1, Math.max(0, (x + 0.5) / tileWidth - 0.5));
+      const tx0 = Math.floor(gx);
+      const tx1 = Math.min(tilesX - 1, tx0 + 1);
+      const fx = gx - tx0;
+
+      const p = y * width + x;
+      const v = luminance[p];
+      const top = luts[(ty0 * tilesX + tx0) * 256 + v] * (1 - fx) + luts[(ty0 * tilesX + tx1) * 256 + v] * fx;
+      const bottom = luts[(ty1 * tilesX + tx0) * 256 + v] * (1 - fx) + luts[(ty1 * tilesX + tx1) * 256 + v] * fx;
+      const delta = top * (1 - fy) + bottom * fy - v;
+
+      const i = p * 4;
+      data[i] = data[i] + delta;
+      data[i + 1] = data[i + 1] + delta;
+      data[i + 2] = data[i + 2] + delta;
+    }
+  }
+
+  return { key, luts };
+}
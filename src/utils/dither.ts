@@ -0,0 +1,170 @@
+/**
+ * Error-diffusion and ordered dithering for quantizing cell values
+ * @module utils/dither
+ */
+
+import type { DitherMethod } from '../types/interfaces';
+
+/**
+ * Error-diffusion kernel: neighbour offsets with their share of the error
+ */
+interface DiffusionKernel {
+  divisor: number;
+  /** [dx, dy, weight] entries; dy is always >= 0 and dx > 0 when dy is 0 */
+  taps: ReadonlyArray<readonly [number, number, number]>;
+}
+
+const DIFFUSION_KERNELS: Partial<Record<DitherMethod, DiffusionKernel>> = {
+  'floyd-steinberg': {
+    divisor: 16,
+    taps: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]]
+  },
+  // Atkinson spreads only 6/8 of the error, trading accuracy for contrast
+  atkinson: {
+    divisor: 8,
+    taps: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]]
+  },
+  'jarvis-judice-ninke': {
+    divisor: 48,
+    taps: [
+      [1, 0, 7], [2, 0, 5],
+      [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+      [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1]
+    ]
+  }
+};
+
+const BAYER_SIZES: Partial<Record<DitherMethod, number>> = {
+  bayer2: 2,
+  bayer4: 4,
+  bayer8: 8
+};
+
+const bayerCache = new Map<number, Float32Array>();
+
+/**
+ * Builds a normalized Bayer threshold matrix
+ *
+ * @param size - Matrix size (power of two)
+ * @returns Row-major thresholds in the open range (-0.5, 0.5)
+ */
+export function bayerMatrix(size: number): Float32Array {
+  const cached = bayerCache.get(size);
+  if (cached) {
+    return cached;
+  }
+
+  // Recursive construction: M(2n) = [4M, 4M+2; 4M+3, 4M+1]
+  let order = [0];
+  for (let n = 1; n < size; n *= 2) {
+    const next = new Array<number>(4 * n * n);
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        const value = 4 * order[y * n + x];
+        next[y * 2 * n + x] = value;
+        next[y * 2 * n + x + n] = value + 2;
+        next[(y + n) * 2 * n + x] = value + 3;
+        next[(y + n) * 2 * n + x + n] = value + 1;
+      }
+    }
+    order = next;
+  }
+
+  const cells = size * size;
+  const matrix = Float32Array.from(order, (value) => (value + 0.5) / cells - 0.5);
+  bayerCache.set(size, matrix);
+  return matrix;
+}
+
+/**
+ * Quantizes a grid of values with optional dithering
+ *
+ * The quantizer maps one cell (all channels) to the nearest available level and
+ * returns that level's index and value. Error diffusion carries the difference to
+ * unvisited neighbours; ordered dithering offsets each cell by a Bayer threshold
+ * scaled by `spread` (typically the distance between adjacent levels).
+ *
+ * @param values - Row-major cell values, `channels` per cell (modified in place)
+ * @param width - Grid width
+ * @param height - Grid height
+ * @param channels - Values per cell (1 for luminance, 3 for RGB)
+ * @param method - Dithering method
+ * @param spread - Amplitude of ordered dithering offsets
+ * @param quantize - Maps a cell to its nearest level
+ * @returns Chosen level index per cell
+ */
+export function ditherGrid(
+  values: Float32Array,
+  width: number,
+  height: number,
+  channels: number,
+  method: DitherMethod,
+  spread: number,
+  quantize: (cell: Float32Array) => { index: number; value: ArrayLike<number> }
+): Int32Array {
+  const indices = new Int32Array(width * height);
+  const cell = new Float32Array(channels);
+  const kernel = DIFFUSION_KERNELS[method];
+  const bayerSize = BAYER_SIZES[method];
+  const bayer = bayerSize ? bayerMatrix(bayerSize) : undefined;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      const base = index * channels;
+      const offset = bayer && bayerSize
+        ? bayer[(y % bayerSize) * bayerSize + (x % bayerSize)] * spread
+        : 0;
+
+      for (let c = 0; c < channels; c++) {
+        cell[c] = values[base + c] + offset;
+      }
+
+      const level = quantize(cell);
+      indices[index] = level.index;
+
+      if (!kernel) continue;
+
+      for (let c = 0; c < channels; c++) {
+        const error = values[base + c] - level.value[c];
+        if (error === 0) continue;
+
+        for (const [dx, dy, weight] of kernel.taps) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || nx >= width || ny >= height) continue;
+          values[(ny * width + nx) * channels + c] += error * weight / kernel.divisor;
+        }
+      }
+    }
+  }
+
+  return indices;
+}
+
+/**
+ * Dithers a luminance grid onto the evenly spaced levels of a charset
+ *
+ * @param luminance - Row-major luminance values (0-255, modified in place)
+ * @param width - Grid width
+ * @param height - Grid height
+ * @param levels - Number of levels (charset length)
+ * @param method - Dithering method
+ * @returns Charset index per cell (0 = darkest)
+ */
+export function ditherLuminance(
+  luminance: Float32Array,
+  width: number,
+  height: number,
+  levels: number,
+  method: DitherMethod
+): Int32Array {
+  const step = levels > 1 ? 255 / (levels - 1) : 255;
+  const value = new Float32Array(1);
+
+  return ditherGrid(luminance, width, height, 1, method, step, (cell) => {
+    const index = Math.max(0, Math.min(levels - 1, Math.round(cell[0] / step)));
+    value[0] = index * step;
+    return { index, value };
+  });
+}
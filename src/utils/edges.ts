@@ -0,0 +1,135 @@
+/**
+ * Sobel edge detection helpers for directional character rendering
+ * @module utils/edges
+ */
+
+/**
+ * Default characters for edge directions: vertical, rising diagonal,
+ * horizontal, falling diagonal and horizontal with the darker side below
+ */
+export const EDGE_CHARS = {
+  vertical: '|',
+  rising: '/',
+  horizontal: '-',
+  falling: '\\',
+  floor: '_'
+} as const;
+
+/**
+ * Gradient field produced by the Sobel operator
+ */
+export interface EdgeField {
+  /** Horizontal gradient per cell */
+  gx: Float32Array;
+
+  /** Vertical gradient per cell */
+  gy: Float32Array;
+
+  /** Gradient strength per cell, normalized so a full black/white step is 255 */
+  magnitude: Float32Array;
+}
+
+/**
+ * Runs the 3x3 Sobel operator over a luminance grid
+ * Borders are handled by clamping coordinates to the grid
+ *
+ * @param luminance - Row-major luminance values (0-255)
+ * @param width - Grid width
+ * @param height - Grid height
+ * @returns Horizontal/vertical gradients and normalized magnitude per cell
+ */
+export function computeSobel(luminance: ArrayLike<number>, width: number, height: number): EdgeField {
+  const size = width * height;
+  const gx = new Float32Array(size);
+  const gy = new Float32Array(size);
+  const magnitude = new Float32Array(size);
+
+  const at = (x: number, y: number): number => {
+    const cx = x < 0 ? 0 : x >= width ? width - 1 : x;
+    const cy = y < 0 ? 0 : y >= height ? height - 1 : y;
+    return luminance[cy * width + cx];
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const tl = at(x - 1, y - 1), tc = at(x, y - 1), tr = at(x + 1, y - 1);
+      const ml = at(x - 1, y), mr = at(x + 1, y);
+      const bl = at(x - 1, y + 1), bc = at(x, y + 1), br = at(x + 1, y + 1);
+
+      const sx = (tr + 2 * mr + br) - (tl + 2 * ml + bl);
+      const sy = (bl + 2 * bc + br) - (tl + 2 * tc + tr);
+      const index = y * width + x;
+
+      gx[index] = sx;
+      gy[index] = sy;
+      // Largest single-axis response to a 0-255 step is 4 * 255
+      magnitude[index] = Math.sqrt(sx * sx + sy * sy) / 4;
+    }
+  }
+
+  return { gx, gy, magnitude };
+}
+
+/**
+ * Marks cells whose gradient strength peaks across the edge and reaches the threshold
+ * Thins the two-cell-wide Sobel response down to a single-cell outline
+ *
+ * @param field - Gradient field from computeSobel
+ * @param width - Grid width
+ * @param height - Grid height
+ * @param threshold - Minimum normalized magnitude (0-255)
+ * @returns Row-major mask with 1 for edge cells
+ */
+export function detectEdges(field: EdgeField, width: number, height: number, threshold: number): Uint8Array {
+  const { gx, gy, magnitude } = field;
+  const mask = new Uint8Array(width * height);
+
+  const at = (x: number, y: number): number =>
+    x < 0 || y < 0 || x >= width || y >= height ? 0 : magnitude[y * width + x];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      const value = magnitude[index];
+      if (value < threshold) continue;
+
+      // Step to the neighbours along the gradient, quantized to 8 directions
+      const angle = Math.atan2(gy[index], gx[index]);
+      const dx = Math.round(Math.cos(angle));
+      const dy = Math.round(Math.sin(angle));
+
+      // Ties go to the first cell so flat-topped ridges keep one side
+      if (value >= at(x + dx, y + dy) && value > at(x - dx, y - dy)) {
+        mask[index] = 1;
+      }
+    }
+  }
+
+  return mask;
+}
+
+/**
+ * Picks the character that follows the edge running across a gradient
+ *
+ * @param gx - Horizontal gradient
+ * @param gy - Vertical gradient (positive when brightness increases downward)
+ * @returns One of | / - \ _
+ */
+export function gradientToEdgeChar(gx: number, gy: number): string {
+  // Gradient angle folded into [0, 180); the edge runs perpendicular to it
+  let angle = Math.atan2(gy, gx) * 180 / Math.PI;
+  if (angle < 0) angle += 180;
+  if (angle >= 180) angle -= 180;
+
+  if (angle < 22.5 || angle >= 157.5) {
+    return EDGE_CHARS.vertical;
+  }
+  if (angle < 67.5) {
+    return EDGE_CHARS.rising;
+  }
+  if (angle < 112.5) {
+    // Brightness falling downward means the dark region sits below the edge
+    return gy < 0 ? EDGE_CHARS.floor : EDGE_CHARS.horizontal;
+  }
+  return EDGE_CHARS.falling;
+}
@@ -0,0 +1,189 @@
+/**
+ * Glyph rasterization and shape matching for structure-aware rendering
+ * @module utils/glyphs
+ */
+
+import type { CellSample, LuminanceFunction, PixelData } from '../types/interfaces';
+import { assertCanvasAvailable, calculateLuminance, createScratchContext, samplePixelColor } from './canvas-helpers';
+
+/** Sample columns per cell used for shape matching */
+export const SHAPE_CELL_WIDTH = 4;
+
+/** Sample rows per cell used for shape matching */
+export const SHAPE_CELL_HEIGHT = 8;
+
+/** Supersampling factor when rasterizing glyphs */
+const GLYPH_RENDER_SCALE = 4;
+
+/** Maximum number of charset/font combinations kept in the bitmap cache */
+const MAX_CACHED_GLYPH_SETS = 32;
+
+/**
+ * Ink coverage bitmap for a single glyph
+ */
+export interface GlyphBitmap {
+  /** The character this bitmap was rendered from */
+  char: string;
+
+  /** Row-major ink coverage (0 = empty) sized SHAPE_CELL_WIDTH x SHAPE_CELL_HEIGHT */
+  coverage: Float32Array;
+}
+
+const glyphCache = new Map<string, GlyphBitmap[]>();
+
+/**
+ * Rasterizes every character of a charset into a coverage bitmap
+ * Results are cached per charset and font, so repeated conversions are cheap.
+ * Coverage is scaled so the densest glyph averages full ink, which keeps the
+ * bitmaps comparable with image blocks that span the whole 0-1 range.
+ *
+ * @param charset - Characters to rasterize
+ * @param font - Font family to render with
+ * @returns One bitmap per charset character, in charset order
+ * @throws Error if canvas context unavailable
+ */
+export function renderGlyphBitmaps(charset: string, font: string = 'monospace'): GlyphBitmap[] {
+  // Sanitize font family to prevent injection
+  const sanitizedFont = font.replace(/["'`<>]/g, '');
+  const cacheKey = `${sanitizedFont}\u0000${charset}`;
+  const cached = glyphCache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const renderWidth = SHAPE_CELL_WIDTH * GLYPH_RENDER_SCALE;
+  const renderHeight = SHAPE_CELL_HEIGHT * GLYPH_RENDER_SCALE;
+
+  assertCanvasAvailable("'shape' mode glyph rendering");
+  const ctx = createScratchContext(renderWidth, renderHeight, { willReadFrequently: true });
+
+  if (!ctx) {
+    throw new Error('Unable to obtain 2D canvas context for glyph rendering');
+  }
+
+  // Fit the em box to the cell height, as a terminal line would
+  ctx.font = `${Math.floor(renderHeight * 0.8)}px ${sanitizedFont}`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  const bitmaps: GlyphBitmap[] = [];
+  let maxMean = 0;
+
+  for (const char of Array.from(charset)) {
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, renderWidth, renderHeight);
+    ctx.fillStyle = '#000000';
+    ctx.fillText(char, renderWidth / 2, renderHeight / 2);
+
+    const { data } = ctx.getImageData(0, 0, renderWidth, renderHeight);
+    const pixelData: PixelData = { data, width: renderWidth, height: renderHeight };
+    const coverage = new Float32Array(SHAPE_CELL_WIDTH * SHAPE_CELL_HEIGHT);
+    let sum = 0;
+
+    for (let y = 0; y < SHAPE_CELL_HEIGHT; y++) {
+      for (let x = 0; x < SHAPE_CELL_WIDTH; x++) {
+        const color = samplePixelColor(pixelData, x, y, SHAPE_CELL_WIDTH, SHAPE_CELL_HEIGHT);
+        const ink = 1 - calculateLuminance(color.r, color.g, color.b) / 255;
+        coverage[y * SHAPE_CELL_WIDTH + x] = ink;
+        sum += ink;
+      }
+    }
+
+    maxMean = Math.max(maxMean, sum / coverage.length);
+    bitmaps.push({ char, coverage });
+  }
+
+  if (maxMean > 0) {
+    for (const bitmap of bitmaps) {
+      for (let i = 0; i < bitmap.coverage.length; i++) {
+        bitmap.coverage[i] /= maxMean;
+      }
+    }
+  }
+
+  if (glyphCache.size >= MAX_CACHED_GLYPH_SETS) {
+    // Evict the oldest entry (Map preserves insertion order)
+    const oldest = glyphCache.keys().next().value;
+    if (oldest !== undefined) glyphCache.delete(oldest);
+  }
+  glyphCache.set(cacheKey, bitmaps);
+
+  return bitmaps;
+}
+
+/**
+ * Finds the glyph whose bitmap is closest to a block of ink values
+ * Uses the sum of squared differences, so both shape and density count
+ *
+ * @param block - Row-major ink values sized SHAPE_CELL_WIDTH x SHAPE_CELL_HEIGHT
+ * @param glyphs - Candidate glyph bitmaps
+ * @returns Index of the best matching glyph
+ */
+export function matchGlyph(block: ArrayLike<number>, glyphs: GlyphBitmap[]): number {
+  let bestIndex = 0;
+  let bestError = Infinity;
+
+  for (let i = 0; i < glyphs.length; i++) {
+    const coverage = glyphs[i].coverage;
+    let error = 0;
+
+    for (let j = 0; j < coverage.length && error < bestError; j++) {
+      const diff = block[j] - coverage[j];
+      error += diff * diff;
+    }
+
+    if (error < bestError) {
+      bestError = error;
+      bestIndex = i;
+    }
+  }
+
+  return bestIndex;
+}
+
+/**
+ * Samples a cell as a block of ink values and picks the best matching glyph
+ *
+ * @param pixelData - Source pixel data
+ * @param gridX - X position in character grid
+ * @param gridY - Y position in character grid
+ * @param gridWidth - Total grid width in characters
+ * @param gridHeight - Total grid height in characters
+ * @param glyphs - Candidate glyph bitmaps from renderGlyphBitmaps
+ * @param inverted - Treat light pixels as ink instead of dark ones
+ * @param luminanceFn - Brightness function (defaults to Rec. 601)
+ * @returns Matched glyph and the average color of the cell
+ */
+export function sampleShapeCell(
+  pixelData: PixelData,
+  gridX: number,
+  gridY: number,
+  gridWidth: number,
+  gridHeight: number,
+  glyphs: GlyphBitmap[],
+  inverted: boolean = false,
+  luminanceFn: LuminanceFunction = calculateLuminance
+): CellSample {
+  const subWidth = gridWidth * SHAPE_CELL_WIDTH;
+  const subHeight = gridHeight * SHAPE_CELL_HEIGHT;
+  const block = new Float32Array(SHAPE_CELL_WIDTH * SHAPE_CELL_HEIGHT);
+
+  for (let dy = 0; dy < SHAPE_CELL_HEIGHT; dy++) {
+    for (let dx = 0; dx < SHAPE_CELL_WIDTH; dx++) {
+      const color = samplePixelColor(
+        pixelData,
+        gridX * SHAPE_CELL_WIDTH + dx,
+        gridY * SHAPE_CELL_HEIGHT + dy,
+        subWidth,
+        subHeight
+      );
+      const brightness = luminanceFn(color.r, color.g, color.b, color.a) / 255;
+      block[dy * SHAPE_CELL_WIDTH + dx] = inverted ? brightness : 1 - brightness;
+    }
+  }
+
+  const index = matchGlyph(block, glyphs);
+  const color = samplePixelColor(pixelData, gridX, gridY, gridWidth, gridHeight);
+
+  return { char: glyphs[index].char, color };
+}
@@ -0,0 +1,76 @@
+/**
+ * Half-block helpers for double vertical resolution rendering
+ * @module utils/half-block
+ */
+
+import type { CellSample, LuminanceFunction, PixelData } from '../types/interfaces';
+import { calculateLuminance, samplePixelColor } from './canvas-helpers';
+
+/** Upper half block (U+2580) */
+export const UPPER_HALF_BLOCK = '▀';
+
+/** Lower half block (U+2584) */
+export const LOWER_HALF_BLOCK = '▄';
+
+/** Full block (U+2588) */
+export const FULL_BLOCK = '█';
+
+/** Source pixels covered vertically by one half-block cell */
+export const HALF_BLOCK_CELL_HEIGHT = 2;
+
+/**
+ * Samples the upper and lower pixel of a cell and builds its half-block glyph
+ *
+ * Monochrome output picks the glyph from which halves pass the threshold
+ * (█, ▀, ▄ or space). Colored output always uses ▀ or ▄: the foreground color
+ * paints the glyph half and the background color paints the other half, so
+ * both source pixels survive regardless of the threshold.
+ *
+ * @param pixelData - Source pixel data
+ * @param gridX - X position in character grid
+ * @param gridY - Y position in character grid
+ * @param gridWidth - Total grid width in characters
+ * @param gridHeight - Total grid height in characters
+ * @param threshold - Luminance cutoff (0-255) for treating a half as ink
+ * @param inverted - Treat light pixels as ink instead of dark ones
+ * @param colored - Emit ▀/▄ with foreground and background colors
+ * @param luminanceFn - Brightness function (defaults to Rec. 601)
+ * @returns Glyph, foreground color and background color for the cell
+ */
+export function sampleHalfBlockCell(
+  pixelData: PixelData,
+  gridX: number,
+  gridY: number,
+  gridWidth: number,
+  gridHeight: number,
+  threshold: number = 128,
+  inverted: boolean = false,
+  colored: boolean = false,
+  luminanceFn: LuminanceFunction = calculateLuminance
+): CellSample {
+  const subHeight = gridHeight * HALF_BLOCK_CELL_HEIGHT;
+  const top = samplePixelColor(pixelData, gridX, gridY * HALF_BLOCK_CELL_HEIGHT, gridWidth, subHeight);
+  const bottom = samplePixelColor(pixelData, gridX, gridY * HALF_BLOCK_CELL_HEIGHT + 1, gridWidth, subHeight);
+
+  const isInk = (luminance: number): boolean => inverted ? luminance >= threshold : luminance < threshold;
+  const topInk = isInk(luminanceFn(top.r, top.g, top.b, top.a));
+  const bottomInk = isInk(luminanceFn(bottom.r, bottom.g, bottom.b, bottom.a));
+
+  if (colored) {
+    // Only a lone lower ink half flips the glyph; the colors carry the rest
+    return bottomInk && !topInk
+      ? { char: LOWER_HALF_BLOCK, color: bottom, background: top }
+      : { char: UPPER_HALF_BLOCK, color: top, background: bottom };
+  }
+
+  let char = ' ';
+  if (topInk && bottomInk) {
+    char = FULL_BLOCK;
+  } else if (topInk) {
+    char = UPPER_HALF_BLOCK;
+  } else if (bottomInk) {
+    char = LOWER_HALF_BLOCK;
+  }
+
+  return { char, color: topInk || !bottomInk ? top : bottom };
+}
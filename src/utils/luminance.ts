@@ -0,0 +1,88 @@
+/**
+ * Luminance models for turning RGBA colors into brightness
+ * @module utils/luminance
+ */
+
+import type { LuminanceFunction, LuminanceModel } from '../types/interfaces';
+import { calculateLuminance } from './canvas-helpers';
+
+/** Built-in luminance model names */
+export const LUMINANCE_MODELS: readonly LuminanceModel[] = [
+  'rec601',
+  'rec709',
+  'rec2020',
+  'linear',
+  'lab',
+  'hsv',
+  'red',
+  'green',
+  'blue',
+  'alpha'
+];
+
+/** sRGB-decoded (linear light) value for every 8-bit channel value, 0-1 */
+const SRGB_TO_LINEAR = Float32Array.from({ length: 256 }, (_, v) => {
+  const c = v / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+});
+
+/**
+ * Decodes an sRGB channel value to linear light
+ */
+function toLinear(value: number): number {
+  return SRGB_TO_LINEAR[Math.max(0, Math.min(255, Math.round(value)))];
+}
+
+/**
+ * Relative luminance of linear-light sRGB (Rec. 709 primaries), 0-1
+ */
+function linearLuminance(r: number, g: number, b: number): number {
+  return 0.2126 * toLinear(r) + 0.7152 * toLinear(g) + 0.0722 * toLinear(b);
+}
+
+const MODEL_FUNCTIONS: Record<LuminanceModel, LuminanceFunction> = {
+  rec601: calculateLuminance,
+  rec709: (r, g, b) => 0.2126 * r + 0.7152 * g + 0.0722 * b,
+  rec2020: (r, g, b) => 0.2627 * r + 0.678 * g + 0.0593 * b,
+  linear: (r, g, b) => 255 * linearLuminance(r, g, b),
+  lab: (r, g, b) => {
+    // CIELAB L* (0-100) from relative luminance, scaled to 0-255
+    const y = linearLuminance(r, g, b);
+    const f = y > 216 / 24389 ? Math.cbrt(y) : (24389 / 27 * y + 16) / 116;
+    return (116 * f - 16) * 2.55;
+  },
+  hsv: (r, g, b) => Math.max(r, g, b),
+  red: (r) => r,
+  green: (_r, g) => g,
+  blue: (_r, _g, b) => b,
+  alpha: (_r, _g, _b, a) => a
+};
+
+/**
+ * Resolves a luminance model name or custom function into a luminance function
+ * Custom functions are guarded so their results always land in 0-255.
+ *
+ * @param model - Built-in model name or custom (r, g, b, a) => brightness function
+ * @returns Function returning brightness (0-255) for an RGBA color
+ * @throws Error if the model name is unknown
+ *
+ * @example
+ * ```typescript
+ * const lightness = createLuminanceFunction('lab');
+ * lightness(255, 128, 0, 255); // perceptual L* scaled to 0-255
+ * ```
+ */
+export function createLuminanceFunction(model: LuminanceModel | LuminanceFunction): LuminanceFunction {
+  if (typeof model === 'function') {
+    return (r, g, b, a) => {
+      const value = model(r, g, b, a);
+      return Number.isFinite(value) ? Math.max(0, Math.min(255, value)) : 0;
+    };
+  }
+
+  if (!LUMINANCE_MODELS.includes(model)) {
+    throw new Error(`Invalid luminance model. Allowed values: ${LUMINANCE_MODELS.join(', ')}`);
+  }
+
+  return MODEL_FUNCTIONS[model];
+}
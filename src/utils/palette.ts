@@ -0,0 +1,370 @@
+/**
+ * Palette definitions and perceptual nearest-color matching
+ * @module utils/palette
+ */
+
+import type {
+  CharColor,
+  ColorDistanceMetric,
+  DitherMethod,
+  PaletteColor,
+  PalettePreset
+} from '../types/interfaces';
+import { ditherGrid } from './dither';
+
+/** Plain RGB triple used by palettes */
+export interface RgbColor {
+  r: number;
+  g: number;
+  b: number;
+}
+
+/** Maximum number of entries accepted in a custom palette */
+const MAX_PALETTE_SIZE = 4096;
+
+/** Cached nearest-color lookups per matcher before the cache is reset */
+const MAX_MATCH_CACHE = 65536;
+
+/** Standard xterm colors for the 16 ANSI entries */
+const ANSI_16: RgbColor[] = [
+  { r: 0, g: 0, b: 0 },
+  { r: 205, g: 0, b: 0 },
+  { r: 0, g: 205, b: 0 },
+  { r: 205, g: 205, b: 0 },
+  { r: 0, g: 0, b: 238 },
+  { r: 205, g: 0, b: 205 },
+  { r: 0, g: 205, b: 205 },
+  { r: 229, g: 229, b: 229 },
+  { r: 127, g: 127, b: 127 },
+  { r: 255, g: 0, b: 0 },
+  { r: 0, g: 255, b: 0 },
+  { r: 255, g: 255, b: 0 },
+  { r: 92, g: 92, b: 255 },
+  { r: 255, g: 0, b: 255 },
+  { r: 0, g: 255, b: 255 },
+  { r: 255, g: 255, b: 255 }
+];
+
+/**
+ * Builds a color cube from per-channel levels, red varying slowest
+ */
+function colorCube(levels: number[]): RgbColor[] {
+  const colors: RgbColor[] = [];
+  for (const r of levels) {
+    for (const g of levels) {
+      for (const b of levels) {
+        colors.push({ r, g, b });
+      }
+    }
+  }
+  return colors;
+}
+
+/** xterm 256: ANSI 16, a 6x6x6 cube, then 24 greys */
+const XTERM_256: RgbColor[] = [
+  ...ANSI_16,
+  ...colorCube([0, 95, 135, 175, 215, 255]),
+  ...Array.from({ length: 24 }, (_, i) => ({ r: 8 + i * 10, g: 8 + i * 10, b: 8 + i * 10 }))
+];
+
+/** 216-color web-safe palette (multiples of 51) */
+const WEB_SAFE: RgbColor[] = colorCube([0, 51, 102, 153, 204, 255]);
+
+/**
+ * Built-in palettes; entry order matches the terminal color numbers
+ */
+export const PALETTES: Readonly<Record<PalettePreset, readonly RgbColor[]>> = {
+  ansi16: ANSI_16,
+  xterm256: XTERM_256,
+  websafe: WEB_SAFE
+};
+
+/**
+ * Resolves a palette preset or custom color list into RGB entries
+ *
+ * @param palette - Preset name or list of '#rrggbb' strings / { r, g, b } objects
+ * @returns Palette entries in order
+ * @throws Error if the preset is unknown or a color is invalid
+ */
+export function resolvePalette(palette: PalettePreset | PaletteColor[]): RgbColor[] {
+  if (typeof palette === 'string') {
+    const preset = PALETTES[palette];
+    if (!preset) {
+      throw new Error(`Invalid palette. Allowed presets: ${Object.keys(PALETTES).join(', ')}`);
+    }
+    return preset.slice();
+  }
+
+  if (!Array.isArray(palette) || palette.length === 0) {
+    throw new Error('Palette must be a preset name or a non-empty color list');
+  }
+
+  if (palette.length > MAX_PALETTE_SIZE) {
+    throw new Error(`Palette exceeds maximum allowed size (${MAX_PALETTE_SIZE})`);
+  }
+
+  return palette.map((color) => {
+    if (typeof color === 'string') {
+      const match = /^#?([0-9a-f]{6}|[0-9a-f]{3})$/i.exec(color.trim());
+      if (!match) {
+        throw new Error(`Invalid palette color: ${color}`);
+      }
+      const hex = match[1].length === 3
+        ? match[1].split('').map((c) => c + c).join('')
+        : match[1];
+      const value = parseInt(hex, 16);
+      return { r: (value >> 16) & 0xff, g: (value >> 8) & 0xff, b: value & 0xff };
+    }
+
+    const channels = [color?.r, color?.g, color?.b];
+    if (!channels.every((c) => typeof c === 'number' && c >= 0 && c <= 255)) {
+      throw new Error('Palette colors must have r, g and b between 0 and 255');
+    }
+    return { r: Math.round(color.r), g: Math.round(color.g), b: Math.round(color.b) };
+  });
+}
+
+/**
+ * Decodes an sRGB channel (0-255) to linear light (0-1)
+ */
+function srgbToLinear(value: number): number {
+  const c = Math.max(0, Math.min(255, value)) / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Converts an sRGB color to OKLab
+ *
+ * @returns [L, a, b] with L in 0-1
+ */
+export function rgbToOklab(r: number, g: number, b: number): [number, number, number] {
+  const lr = srgbToLinear(r);
+  const lg = srgbToLinear(g);
+  const lb = srgbToLinear(b);
+
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+  return [
+    0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s
+  ];
+}
+
+/**
+ * Converts an sRGB color to CIELAB (D65 white point)
+ *
+ * @returns [L*, a*, b*] with L* in 0-100
+ */
+export function rgbToLab(r: number, g: number, b: number): [number, number, number] {
+  const lr = srgbToLinear(r);
+  const lg = srgbToLinear(g);
+  const lb = srgbToLinear(b);
+
+  const x = (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / 0.95047;
+  const y = 0.2126729 * lr + 0.7151522 * lg + 0.072175 * lb;
+  const z = (0.0193339 * lr + 0.119192 * lg + 0.9503041 * lb) / 1.08883;
+
+  const f = (t: number): number => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+  const fx = f(x);
+  const fy = f(y);
+  const fz = f(z);
+
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * CIEDE2000 color difference between two CIELAB colors
+ *
+ * @param lab1 - First color as [L*, a*, b*]
+ * @param lab2 - Second color as [L*, a*, b*]
+ * @returns Perceptual difference (about 1 is just noticeable)
+ */
+export function ciede2000(lab1: readonly number[], lab2: readonly number[]): number {
+  const [l1, a1, b1] = lab1;
+  const [l2, a2, b2] = lab2;
+  const rad = Math.PI / 180;
+  const pow25To7 = 6103515625; // 25^7
+
+  const cBar = (Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2;
+  const cBar7 = Math.pow(cBar, 7);
+  const g = 0.5 * (1 - Math.sqrt(cBar7 / (cBar7 + pow25To7)));
+
+  const a1p = (1 + g) * a1;
+  const a2p = (1 + g) * a2;
+  const c1p = Math.hypot(a1p, b1);
+  const c2p = Math.hypot(a2p, b2);
+
+  const hue = (b: number, a: number): number => {
+    if (a === 0 && b === 0) return 0;
+    const h = Math.atan2(b, a) / rad;
+    return h < 0 ? h + 360 : h;
+  };
+  const h1p = hue(b1, a1p);
+  const h2p = hue(b2, a2p);
+
+  const deltaLp = l2 - l1;
+  const deltaCp = c2p - c1p;
+
+  let deltahp = 0;
+  if (c1p * c2p !== 0) {
+    deltahp = h2p - h1p;
+    if (deltahp > 180) deltahp -= 360;
+    else if (deltahp < -180) deltahp += 360;
+  }
+  const deltaHp = 2 * Math.sqrt(c1p * c2p) * Math.sin(deltahp * rad / 2);
+
+  const lBarp = (l1 + l2) / 2;
+  const cBarp = (c1p + c2p) / 2;
+
+  let hBarp = h1p + h2p;
+  if (c1p * c2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) hBarp = (h1p + h2p) / 2;
+    else if (h1p + h2p < 360) hBarp = (h1p + h2p + 360) / 2;
+    else hBarp = (h1p + h2p - 360) / 2;
+  }
+
+  const t = 1
+    - 0.17 * Math.cos((hBarp - 30) * rad)
+    + 0.24 * Math.cos(2 * hBarp * rad)
+    + 0.32 * Math.cos((3 * hBarp + 6) * rad)
+    - 0.2 * Math.cos((4 * hBarp - 63) * rad);
+
+  const deltaTheta = 30 * Math.exp(-Math.pow((hBarp - 275) / 25, 2));
+  const cBarp7 = Math.pow(cBarp, 7);
+  const rc = 2 * Math.sqrt(cBarp7 / (cBarp7 + pow25To7));
+  const lBarp50 = (lBarp - 50) * (lBarp - 50);
+  const sl = 1 + 0.015 * lBarp50 / Math.sqrt(20 + lBarp50);
+  const sc = 1 + 0.045 * cBarp;
+  const sh = 1 + 0.015 * cBarp * t;
+  const rt = -Math.sin(2 * deltaTheta * rad) * rc;
+
+  const dl = deltaLp / sl;
+  const dc = deltaCp / sc;
+  const dh = deltaHp / sh;
+
+  return Math.sqrt(dl * dl + dc * dc + dh * dh + rt * dc * dh);
+}
+
+/**
+ * Creates a function that finds the nearest palette entry for a color
+ * Results are memoized per 24-bit color, so repeated colors are cheap.
+ *
+ * @param palette - Palette entries
+ * @param metric - Distance metric used for matching
+ * @returns Function returning the index of the nearest palette entry
+ */
+export function createPaletteMatcher(
+  palette: readonly RgbColor[],
+  metric: ColorDistanceMetric = 'oklab'
+): (r: number, g: number, b: number) => number {
+  const cache = new Map<number, number>();
+
+  const toSpace = (r: number, g: number, b: number): number[] =>
+    metric === 'oklab' ? rgbToOklab(r, g, b)
+      : metric === 'ciede2000' ? rgbToLab(r, g, b)
+        : [r, g, b];
+
+  const entries = palette.map((color) => toSpace(color.r, color.g, color.b));
+
+  const distance = (p: readonly number[], q: readonly number[]): number => {
+    if (metric === 'ciede2000') {
+      return ciede2000(p, q);
+    }
+    const d0 = p[0] - q[0];
+    const d1 = p[1] - q[1];
+    const d2 = p[2] - q[2];
+    return d0 * d0 + d1 * d1 + d2 * d2;
+  };
+
+  return (r, g, b) => {
+    const cr = Math.max(0, Math.min(255, Math.round(r)));
+    const cg = Math.max(0, Math.min(255, Math.round(g)));
+    const cb = Math.max(0, Math.min(255, Math.round(b)));
+    const key = (cr << 16) | (cg << 8) | cb;
+
+    const cached = cache.get(key);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const target = toSpace(cr, cg, cb);
+    let bestIndex = 0;
+    let bestDistance = Infinity;
+
+    for (let i = 0; i < entries.length; i++) {
+      const d = distance(target, entries[i]);
+      if (d < bestDistance) {
+        bestDistance = d;
+        bestIndex = i;
+      }
+    }
+
+    if (cache.size >= MAX_MATCH_CACHE) {
+      cache.clear();
+    }
+    cache.set(key, bestIndex);
+    return bestIndex;
+  };
+}
+
+/**
+ * Snaps a grid of colors to a palette in place, optionally dithering
+ * Alpha is preserved. Error diffusion and ordered dithering work in RGB space
+ * while the nearest entry is picked with the matcher's metric.
+ *
+ * @param colors - Color grid to quantize (modified in place)
+ * @param palette - Palette entries
+ * @param match - Nearest-entry function from createPaletteMatcher
+ * @param dither - Dithering method
+ * @returns Palette index per cell
+ */
+export function quantizeColorGrid(
+  colors: CharColor[][],
+  palette: readonly RgbColor[],
+  match: (r: number, g: number, b: number) => number,
+  dither: DitherMethod = 'none'
+): number[][] {
+  const height = colors.length;
+  const width = height > 0 ? colors[0].length : 0;
+  const values = new Float32Array(width * height * 3);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const color = colors[y][x];
+      const base = (y * width + x) * 3;
+      values[base] = color.r;
+      values[base + 1] = color.g;
+      values[base + 2] = color.b;
+    }
+  }
+
+  // Typical spacing between neighbouring entries of an evenly filled cube
+  const spread = 255 / Math.max(1, Math.cbrt(palette.length));
+  const value = new Float32Array(3);
+
+  const indices = ditherGrid(values, width, height, 3, dither, spread, (cell) => {
+    const index = match(cell[0], cell[1], cell[2]);
+    const entry = palette[index];
+    value[0] = entry.r;
+    value[1] = entry.g;
+    value[2] = entry.b;
+    return { index, value };
+  });
+
+  const result: number[][] = new Array(height);
+  for (let y = 0; y < height; y++) {
+    const row: number[] = new Array(width);
+    for (let x = 0; x < width; x++) {
+      const index = indices[y * width + x];
+      const entry = palette[index];
+      row[x] = index;
+      colors[y][x] = { r: entry.r, g: entry.g, b: entry.b, a: colors[y][x].a };
+    }
+    result[y] = row;
+  }
+
+  return result;
+}
@@ -0,0 +1,333 @@
+/**
+ * Image preprocessing steps applied to pixel data before character mapping
+ * @module utils/preprocess
+ */
+
+import type { LuminanceFunction, PixelData, PreprocessStep } from '../types/interfaces';
+import { calculateLuminance } from './canvas-helpers';
+import { applyClahe } from './clahe';
+import type { ClaheState } from './clahe';
+
+// Security limits to keep blur kernels and tile grids bounded
+const MAX_BLUR_RADIUS = 20;
+const MAX_CLAHE_TILES = 64;
+
+/**
+ * State carried between frames by stateful steps (CLAHE temporal smoothing)
+ */
+export interface PreprocessState {
+  /** Previous CLAHE mappings keyed by step index */
+  clahe: Map<number, ClaheState>;
+}
+
+/**
+ * Creates an empty state for applyPreprocessing
+ *
+ * @returns Fresh preprocessing state
+ */
+export function createPreprocessState(): PreprocessState {
+  return { clahe: new Map() };
+}
+
+/**
+ * Validates a preprocessing pipeline
+ *
+ * @param steps - Ordered preprocessing steps
+ * @throws Error describing the first invalid step
+ */
+export function validatePreprocessSteps(steps: PreprocessStep[]): void {
+  if (!Array.isArray(steps)) {
+    throw new Error('Preprocess must be an array of steps');
+  }
+
+  for (const step of steps) {
+    switch (step?.type) {
+      case 'brightness':
+      case 'contrast':
+        if (!(step.amount >= -1 && step.amount <= 1)) {
+          throw new Error(`${step.type} amount must be between -1 and 1`);
+        }
+        break;
+      case 'gamma':
+        if (!(step.value > 0 && step.value <= 10)) {
+          throw new Error('Gamma value must be greater than 0 and at most 10');
+        }
+        break;
+      case 'levels':
+        if (step.black !== undefined && !(step.black >= 0 && step.black <= 255)) {
+          throw new Error('Levels black point must be between 0 and 255');
+        }
+        if (step.white !== undefined && !(step.white >= 0 && step.white <= 255)) {
+          throw new Error('Levels white point must be between 0 and 255');
+        }
+        if (step.clip !== undefined && !(step.clip >= 0 && step.clip < 0.5)) {
+          throw new Error('Levels clip must be at least 0 and below 0.5');
+        }
+        break;
+      case 'sharpen':
+        if (step.amount !== undefined && !(step.amount >= 0 && step.amount <= 10)) {
+          throw new Error('Sharpen amount must be between 0 and 10');
+        }
+        if (step.radius !== undefined && !(step.radius > 0 && step.radius <= MAX_BLUR_RADIUS)) {
+          throw new Error(`Sharpen radius must be greater than 0 and at most ${MAX_BLUR_RADIUS}`);
+        }
+        break;
+      case 'blur':
+        if (!(step.radius > 0 && step.radius <= MAX_BLUR_RADIUS)) {
+          throw new Error(`Blur radius must be greater than 0 and at most ${MAX_BLUR_RADIUS}`);
+        }
+        break;
+      case 'grayscale':
+        break;
+      case 'clahe':
+        for (const tiles of [step.tilesX, step.tilesY]) {
+          if (tiles !== undefined && !(Number.isInteger(tiles) && tiles >= 1 && tiles <= MAX_CLAHE_TILES)) {
+            throw new Error(`CLAHE tile count must be an integer between 1 and ${MAX_CLAHE_TILES}`);
+          }
+        }
+        if (step.clipLimit !== undefined && !(step.clipLimit >= 1)) {
+          throw new Error('CLAHE clip limit must be at least 1');
+        }
+        if (step.temporalSmoothing !== undefined && !(step.temporalSmoothing >= 0 && step.temporalSmoothing < 1)) {
+          throw new Error('CLAHE temporal smoothing must be at least 0 and below 1');
+        }
+        break;
+      default:
+        throw new Error(`Unknown preprocess step: ${String((step as { type?: unknown })?.type)}`);
+    }
+  }
+}
+
+/**
+ * Runs an ordered list of preprocessing steps over pixel data
+ * The source is never modified; a processed copy is returned. Alpha is preserved.
+ *
+ * @param pixelData - Source pixel data
+ * @param steps - Ordered preprocessing steps
+ * @param state - Optional state reused across video frames (see createPreprocessState)
+ * @param luminanceFn - Luminance model the clahe step equalizes (Rec. 601 by default)
+ * @returns Processed pixel data (the source itself when there are no steps)
+ *
+ * @example
+ * ```typescript
+ * const processed = applyPreprocessing(pixelData, [
+ *   { type: 'levels' },
+ *   { type: 'gamma', value: 1.4 },
+ *   { type: 'sharpen', amount: 0.8 }
+ * ]);
+ * ```
+ */
+export function applyPreprocessing(
+  pixelData: PixelData,
+  steps: PreprocessStep[],
+  state?: PreprocessState,
+  luminanceFn: LuminanceFunction = calculateLuminance
+): PixelData {
+  if (steps.length === 0) {
+    return pixelData;
+  }
+
+  const data = new Uint8ClampedArray(pixelData.data);
+  const output: PixelData = { data, width: pixelData.width, height: pixelData.height };
+
+  steps.forEach((step, index) => {
+    switch (step.type) {
+      case 'brightness': {
+        const offset = step.amount * 255;
+        applyLookup(data, buildLookup((v) => v + offset));
+        break;
+      }
+      case 'contrast': {
+        // Map -1..1 onto a slope of 0..infinity around mid-grey
+        const factor = step.amount >= 1 ? 255 : (1 + step.amount) / (1 - step.amount);
+        applyLookup(data, buildLookup((v) => (v - 128) * factor + 128));
+        break;
+      }
+      case 'gamma': {
+        const exponent = 1 / step.value;
+        applyLookup(data, buildLookup((v) => 255 * Math.pow(v / 255, exponent)));
+        break;
+      }
+      case 'levels': {
+        const auto = findLevels(data, step.clip ?? 0.005);
+        const black = step.black ?? auto.black;
+        const white = step.white ?? auto.white;
+        const range = Math.max(1, white - black);
+        applyLookup(data, buildLookup((v) => (v - black) * 255 / range));
+        break;
+      }
+      case 'sharpen':
+        unsharpMask(output, step.amount ?? 1, step.radius ?? 1);
+        break;
+      case 'blur':
+        gaussianBlur(output, step.radius);
+        break;
+      case 'grayscale':
+        for (let i = 0; i < data.length; i += 4) {
+          const luminance = calculateLuminance(data[i], data[i + 1], data[i + 2]);
+          data[i] = data[i + 1] = data[i + 2] = luminance;
+        }
+        break;
+      case 'clahe': {
+        const claheState = applyClahe(output, {
+          tilesX: step.tilesX ?? 8,
+          tilesY: step.tilesY ?? 8,
+          clipLimit: step.clipLimit ?? 2,
+          temporalSmoothing: step.temporalSmoothing ?? 0
+        }, state?.clahe.get(index), luminanceFn);
+        state?.clahe.set(index, claheState);
+        break;
+      }
+    }
+  });
+
+  return output;
+}
+
+/**
+ * Builds a 256-entry lookup table from a per-value transfer function
+ */
+function buildLookup(transfer: (value: number) => number): Uint8ClampedArray {
+  const lookup = new Uint8ClampedArray(256);
+  for (let v = 0; v < 256; v++) {
+    lookup[v] = Math.round(transfer(v));
+  }
+  return lookup;
+}
+
+/**
+ * Applies a lookup table to the RGB channels in place
+ */
+function applyLookup(data: Uint8ClampedArray, lookup: Uint8ClampedArray): void {
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = lookup[data[i]];
+    data[i + 1] = lookup[data[i + 1]];
+    data[i + 2] = lookup[data[i + 2]];
+  }
+}
+
+/**
+ * Finds black and white points from the luminance histogram
+ * Ignores the darkest and brightest `clip` fraction of pixels
+ */
+function findLevels(data: Uint8ClampedArray, clip: number): { black: number; white: number } {
+  const histogram = new Uint32Array(256);
+  const total = data.length / 4;
+
+  for (let i = 0; i < data.length; i += 4) {
+    histogram[Math.round(calculateLuminance(data[i], data[i + 1], data[i + 2]))]++;
+  }
+
+  const limit = total * clip;
+  let black = 0;
+  let white = 255;
+
+  for (let count = 0; black < 255; black++) {
+    count += histogram[black];
+    if (count > limit) break;
+  }
+  for (let count = 0; white > 0; white--) {
+    count += histogram[white];
+    if (count > limit) break;
+  }
+
+  return white > black ? { black, white } : { black: 0, white: 255 };
+}
+
+/**
+ * Builds a normalized 1D Gaussian kernel
+ */
+function gaussianKernel(sigma: number): Float32Array {
+  const radius = Math.max(1, Math.ceil(sigma * 3));
+  const kernel = new Float32Array(radius * 2 + 1);
+  let sum = 0;
+
+  for (let i = -radius; i <= radius; i++) {
+    const weight = Math.exp(-(i * i) / (2 * sigma * sigma));
+    kernel[i + radius] = weight;
+    sum += weight;
+  }
+  for (let i = 0; i < kernel.length; i++) {
+    kernel[i] /= sum;
+  }
+
+  return kernel;
+}
+
+/**
+ * Returns a Gaussian-blurred copy of the RGB channels as floats
+ * Separable horizontal then vertical pass with clamped edges
+ */
+function blurChannels(pixelData: PixelData, sigma: number): Float32Array {
+  const { data, width, height } = pixelData;
+  const kernel = gaussianKernel(sigma);
+  const radius = (kernel.length - 1) / 2;
+  const temp = new Float32Array(width * height * 3);
+  const result = new Float32Array(width * height * 3);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0, g = 0, b = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const sx = Math.min(width - 1, Math.max(0, x + k));
+        const index = (y * width + sx) * 4;
+        const weight = kernel[k + radius];
+        r += data[index] * weight;
+        g += data[index + 1] * weight;
+        b += data[index + 2] * weight;
+      }
+      const out = (y * width + x) * 3;
+      temp[out] = r;
+      temp[out + 1] = g;
+      temp[out + 2] = b;
+    }
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0, g = 0, b = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const sy = Math.min(height - 1, Math.max(0, y + k));
+        const index = (sy * width + x) * 3;
+        const weight = kernel[k + radius];
+        r += temp[index] * weight;
+        g += temp[index + 1] * weight;
+        b += temp[index + 2] * weight;
+      }
+      const out = (y * width + x) * 3;
+      result[out] = r;
+      result[out + 1] = g;
+      result[out + 2] = b;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Gaussian blur in place
+ */
+function gaussianBlur(pixelData: PixelData, sigma: number): void {
+  const blurred = blurChannels(pixelData, sigma);
+  const { data } = pixelData;
+
+  for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+    data[i] = blurred[j];
+    data[i + 1] = blurred[j + 1];
+    data[i + 2] = blurred[j + 2];
+  }
+}
+
+/**
+ * Unsharp mask in place: original + amount * (original - blurred)
+ */
+function unsharpMask(pixelData: PixelData, amount: number, sigma: number): void {
+  const blurred = blurChannels(pixelData, sigma);
+  const { data } = pixelData;
+
+  for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+    data[i] = data[i] + amount * (data[i] - blurred[j]);
+    data[i + 1] = data[i + 1] + amount * (data[i + 1] - blurred[j + 1]);
+    data[i + 2] = data[i + 2] + amount * (data[i + 2] - blurred[j + 2]);
+  }
+}
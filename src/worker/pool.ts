@@ -0,0 +1,406 @@
+/**
+ * Pool of Web Workers for off-thread ASCII conversion
+ * @module worker/pool
+ */
+
+import type { AsciiOutput, RawImageData } from '../types/interfaces';
+import { AsciiGenerator } from '../core/ascii-engine';
+import { isRawImageData } from '../utils/canvas-helpers';
+import type { AsciiWorkerRequest, AsciiWorkerResponse, WorkerAsciiConfig, WorkerImageSource } from './protocol';
+import { unpackAsciiOutput } from './protocol';
+
+/**
+ * What happens when every worker is busy and the queue is full
+ * - 'queue': reject the new request with an error
+ * - 'drop-oldest': resolve the oldest queued request with null and queue the new one
+ * - 'drop-newest': resolve the new request with null
+ */
+export type WorkerBackpressure = 'queue' | 'drop-oldest' | 'drop-newest';
+
+/**
+ * Options for AsciiWorkerPool
+ */
+export interface AsciiWorkerPoolOptions {
+  /**
+   * Number of workers
+   * @default navigator.hardwareConcurrency - 1, between 1 and 4
+   */
+  size?: number;
+
+  /**
+   * Generator configuration for every worker
+   */
+  config?: WorkerAsciiConfig;
+
+  /**
+   * Policy when all workers are busy and `maxQueue` requests are waiting
+   * @default 'queue'
+   */
+  backpressure?: WorkerBackpressure;
+
+  /**
+   * Maximum number of requests waiting for a free worker
+   * @default Infinity for 'queue', 1 for 'drop-oldest', 0 for 'drop-newest'
+   */
+  maxQueue?: number;
+}
+
+/**
+ * Options for a single conversion
+ */
+export interface WorkerConvertOptions {
+  /**
+   * Transfer the pixel buffer, ImageBitmap or VideoFrame to the worker instead of copying it
+   * The source is unusable afterwards: `data` is detached (zero length), and
+   * bitmaps and frames are closed, including when the request is dropped
+   * @default true
+   */
+  transfer?: boolean;
+}
+
+interface ConvertTask {
+  id: number;
+  image: WorkerImageSource;
+  transfer: boolean;
+  resolve: (output: AsciiOutput | null) => void;
+  reject: (error: Error) => void;
+}
+
+interface ConfigRequest {
+  resolve: () => void;
+  reject: (error: Error) => void;
+}
+
+interface WorkerSlot {
+  worker: Worker;
+  task: ConvertTask | null;
+  configRequests: Map<number, ConfigRequest>;
+}
+
+const MAX_WORKERS = 32;
+const BACKPRESSURE_POLICIES: readonly WorkerBackpressure[] = ['queue', 'drop-oldest', 'drop-newest'];
+const DEFAULT_MAX_QUEUE: Record<WorkerBackpressure, number> = {
+  'queue': Infinity,
+  'drop-oldest': 1,
+  'drop-newest': 0
+};
+
+/**
+ * Checks that a config can be cloned to a worker and is accepted by AsciiGenerator
+ *
+ * @throws Error if an option is a function or the config is invalid
+ */
+function validateWorkerConfig(config: WorkerAsciiConfig): void {
+  for (const [key, value] of Object.entries(config)) {
+    if (typeof value === 'function') {
+      throw new Error(`Config option "${key}" is a function and cannot be sent to a worker`);
+    }
+  }
+  new AsciiGenerator(config);
+}
+
+/**
+ * Closes the bitmap or frame of a request that never reaches a worker
+ * With transfer enabled the pool owns the source, so it is freed here instead
+ */
+function releaseImage(task: ConvertTask): void {
+  if (task.transfer && !isRawImageData(task.image)) {
+    task.image.close();
+  }
+}
+
+/**
+ * Spreads ASCII conversions across a pool of Web Workers
+ *
+ * Each request gets an id, so results are matched to their promise even when
+ * workers finish out of order. Pixel buffers are transferred to the workers,
+ * and results come back as packed typed arrays instead of per-cell objects.
+ * Every worker handles one conversion at a time; further requests wait in a
+ * queue whose size and overflow behaviour are set by `maxQueue` and
+ * `backpressure`. For live video, 'drop-oldest' keeps only the newest frame
+ * waiting.
+ *
+ * The worker script must call runAsciiWorker().
+ *
+ * @example
+ * ```typescript
+ * // ascii-worker.ts
+ * import { runAsciiWorker } from 'ts-ascii-engine';
+ * runAsciiWorker();
+ *
+ * // main.ts
+ * const pool = new AsciiWorkerPool(
+ *   () => new Worker(new URL('./ascii-worker.ts', import.meta.url), { type: 'module' }),
+ *   { config: { width: 100, colored: true }, backpressure: 'drop-oldest' }
+ * );
+ *
+ * const output = await pool.convert(ctx.getImageData(0, 0, width, height));
+ * if (output) element.innerHTML = output.html; // null when the frame was dropped
+ * ```
+ */
+export class AsciiWorkerPool {
+  private readonly slots: WorkerSlot[] = [];
+  private readonly queue: ConvertTask[] = [];
+  private readonly backpressure: WorkerBackpressure;
+  private readonly maxQueue: number;
+  private config: WorkerAsciiConfig;
+  private nextId = 1;
+  private terminated = false;
+
+  /**
+   * Creates the workers and sends them the configuration
+   *
+   * @param createWorker - Creates one worker running runAsciiWorker()
+   * @param options - Pool size, configuration and backpressure policy
+   * @throws Error if the options or configuration are invalid
+   */
+  constructor(createWorker: () => Worker, options: AsciiWorkerPoolOptions = {}) {
+    const concurrency = (globalThis as { navigator?: { hardwareConcurrency?: number } }).navigator
+      ?.hardwareConcurrency ?? 2;
+    const {
+      size = Math.min(4, Math.max(1, concurrency - 1)),
+      config = {},
+      backpressure = 'queue'
+    } = options;
+
+    if (!Number.isInteger(size) || size < 1 || size > MAX_WORKERS) {
+      throw new Error(`Pool size must be an integer between 1 and ${MAX_WORKERS}`);
+    }
+    if (!BACKPRESSURE_POLICIES.includes(backpressure)) {
+      throw new Error(`Invalid backpressure policy. Allowed values: ${BACKPRESSURE_POLICIES.join(', ')}`);
+    }
+
+    const maxQueue = options.maxQueue ?? DEFAULT_MAX_QUEUE[backpressure];
+    if (maxQueue !== Infinity && (!Number.isInteger(maxQueue) || maxQueue < 0)) {
+      throw new Error('maxQueue must be a non-negative integer or Infinity');
+    }
+
+    validateWorkerConfig(config);
+
+    this.backpressure = backpressure;
+    this.maxQueue = maxQueue;
+    this.config = { ...config };
+
+    for (let i = 0; i < size; i++) {
+      const slot: WorkerSlot = { worker: createWorker(), task: null, configRequests: new Map() };
+      slot.worker.addEventListener('message', (event: MessageEvent<AsciiWorkerResponse>) => {
+        this.handleResponse(slot, event.data);
+      });
+      slot.worker.addEventListener('error', (event: ErrorEvent) => {
+        event.preventDefault?.();
+        this.handleWorkerFailure(slot, new Error(`Worker failed: ${event.message || 'unknown error'}`));
+      });
+      this.slots.push(slot);
+
+      // The initial config is not awaited; conversions are queued behind it in the worker
+      this.sendConfig(slot, this.config).catch(() => undefined);
+    }
+  }
+
+  /**
+   * Number of live workers
+   */
+  get size(): number {
+    return this.slots.length;
+  }
+
+  /**
+   * Requests in progress or waiting for a worker
+   */
+  get pending(): number {
+    return this.queue.length + this.slots.filter(slot => slot.task).length;
+  }
+
+  /**
+   * Converts pixels on the next free worker
+   *
+   * @param image - Pixels (e.g. from getImageData()), an ImageBitmap or a WebCodecs VideoFrame
+   * @param options - Transfer options
+   * @returns The conversion result, or null if the request was dropped by the backpressure policy
+   * @throws Error (as a rejection) if conversion fails, the queue is full, the pool was terminated
+   * or every worker has failed
+   */
+  convert(
+    image: ImageData | RawImageData | ImageBitmap | VideoFrame,
+    options: WorkerConvertOptions = {}
+  ): Promise<AsciiOutput | null> {
+    if (this.terminated) {
+      return Promise.reject(new Error('Worker pool has been terminated'));
+    }
+    if (this.slots.length === 0) {
+      return Promise.reject(new Error('Worker pool has no workers left; every worker has failed'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const task: ConvertTask = {
+        id: this.nextId++,
+        image: isRawImageData(image) ? { data: image.data, width: image.width, height: image.height } : image,
+        transfer: options.transfer ?? true,
+        resolve,
+        reject
+      };
+
+      const slot = this.slots.find(candidate => !candidate.task);
+      if (slot) {
+        this.dispatch(slot, task);
+      } else if (this.queue.length < this.maxQueue) {
+        this.queue.push(task);
+      } else if (this.backpressure === 'queue') {
+        releaseImage(task);
+        reject(new Error(`Worker pool queue is full (${this.maxQueue} waiting)`));
+      } else if (this.backpressure === 'drop-oldest' && this.queue.length > 0) {
+        const dropped = this.queue.shift() as ConvertTask;
+        releaseImage(dropped);
+        dropped.resolve(null);
+        this.queue.push(task);
+      } else {
+        releaseImage(task);
+        resolve(null);
+      }
+    });
+  }
+
+  /**
+   * Updates the configuration of every worker
+   * The change is sent right away. Conversions already running on a worker
+   * finish with the old configuration; requests still waiting in the queue
+   * and later requests use the new one.
+   *
+   * @param config - Options to change
+   * @returns Promise that resolves once every worker has applied the change
+   * @throws Error (as a rejection) if the configuration is invalid, the pool was terminated or every worker has failed
+   */
+  async updateConfig(config: Partial<WorkerAsciiConfig>): Promise<void> {
+    if (this.terminated) {
+      throw new Error('Worker pool has been terminated');
+    }
+    if (this.slots.length === 0) {
+      throw new Error('Worker pool has no workers left; every worker has failed');
+    }
+
+    validateWorkerConfig({ ...this.config, ...config });
+    this.config = { ...this.config, ...config };
+
+    await Promise.all(this.slots.map(slot => this.sendConfig(slot, config)));
+  }
+
+  /**
+   * Returns a copy of the configuration sent to the workers
+   */
+  getConfig(): WorkerAsciiConfig {
+    return { ...this.config };
+  }
+
+  /**
+   * Terminates all workers and rejects outstanding requests
+   */
+  terminate(): void {
+    if (this.terminated) return;
+    this.terminated = true;
+
+    const error = new Error('Worker pool has been terminated');
+    for (const task of this.queue.splice(0)) {
+      releaseImage(task);
+      task.reject(error);
+    }
+    for (const slot of this.slots.splice(0)) {
+      slot.worker.terminate();
+      this.rejectSlot(slot, error);
+    }
+  }
+
+  private sendConfig(slot: WorkerSlot, config: WorkerAsciiConfig): Promise<void> {
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      slot.configRequests.set(id, { resolve, reject });
+      this.post(slot, { type: 'config', id, config }, []);
+    });
+  }
+
+  private dispatch(slot: WorkerSlot, task: ConvertTask): void {
+    slot.task = task;
+
+    const { image } = task;
+    let transfer: Transferable[] = [];
+    if (task.transfer) {
+      if (!isRawImageData(image)) {
+        transfer = [image];
+      } else if (image.data.buffer instanceof ArrayBuffer) {
+        transfer = [image.data.buffer];
+      }
+    }
+    this.post(slot, { type: 'convert', id: task.id, image }, transfer);
+  }
+
+  /**
+   * Posts a request, treating a failed postMessage (e.g. an uncloneable value) as a worker error
+   */
+  private post(slot: WorkerSlot, request: AsciiWorkerRequest, transfer: Transferable[]): void {
+    try {
+      slot.worker.postMessage(request, transfer);
+    } catch (error) {
+      this.handleResponse(slot, {
+        type: 'error',
+        id: request.id,
+        message: error instanceof Error ? error.message : String(error)
+      });
+    }
+  }
+
+  private handleResponse(slot: WorkerSlot, response: AsciiWorkerResponse): void {
+    const configRequest = slot.configRequests.get(response.id);
+    if (configRequest) {
+      slot.configRequests.delete(response.id);
+      if (response.type === 'error') {
+        configRequest.reject(new Error(response.message));
+      } else {
+        configRequest.resolve();
+      }
+      return;
+    }
+
+    const task = slot.task;
+    if (!task || task.id !== response.id) return;
+    slot.task = null;
+
+    if (response.type === 'result') {
+      task.resolve(unpackAsciiOutput(response.output));
+    } else if (response.type === 'error') {
+      task.reject(new Error(response.message));
+    }
+
+    const next = this.queue.shift();
+    if (next) {
+      this.dispatch(slot, next);
+    }
+  }
+
+  /**
+   * Removes a worker that failed outside a request (e.g. its script did not load)
+   * Once no worker is left, queued requests are rejected since nothing can run them
+   */
+  private handleWorkerFailure(slot: WorkerSlot, error: Error): void {
+    const index = this.slots.indexOf(slot);
+    if (index === -1) return;
+
+    this.slots.splice(index, 1);
+    slot.worker.terminate();
+    this.rejectSlot(slot, error);
+
+    if (this.slots.length === 0) {
+      for (const task of this.queue.splice(0)) {
+        releaseImage(task);
+        task.reject(error);
+      }
+    }
+  }
+
+  private rejectSlot(slot: WorkerSlot, error: Error): void {
+    slot.task?.reject(error);
+    slot.task = null;
+    for (const request of slot.configRequests.values()) {
+      request.reject(error);
+    }
+    slot.configRequests.clear();
+  }
+}
@@ -0,0 +1,299 @@
+/**
+ * Message protocol between AsciiWorkerPool and its workers
+ * @module worker/protocol
+ */
+
+import type {
+  AsciiConfig,
+  AsciiMetadata,
+  AsciiOutput,
+  CharColor,
+  LuminanceModel,
+  RawImageData
+} from '../types/interfaces';
+
+/**
+ * Configuration that can be sent to a worker
+ * Functions cannot be cloned, so textRenderer and custom luminance functions are excluded
+ */
+export type WorkerAsciiConfig = Omit<AsciiConfig, 'textRenderer' | 'luminance'> & {
+  luminance?: LuminanceModel;
+};
+
+/**
+ * Images a worker can convert
+ * Bitmaps and video frames are drawn on an OffscreenCanvas inside the worker.
+ */
+export type WorkerImageSource = RawImageData | ImageBitmap | VideoFrame;
+
+/**
+ * Messages sent from the pool to a worker
+ * - 'config': create the worker's generator, or update its config
+ * - 'convert': convert the image (its pixel buffer, bitmap or frame is usually transferred)
+ */
+export type AsciiWorkerRequest =
+  | { type: 'config'; id: number; config: WorkerAsciiConfig }
+  | { type: 'convert'; id: number; image: WorkerImageSource };
+
+/**
+ * Messages sent from a worker back to the pool, matched to requests by id
+ */
+export type AsciiWorkerResponse =
+  | { type: 'config'; id: number }
+  | { type: 'result'; id: number; output: PackedAsciiOutput }
+  | { type: 'error'; id: number; message: string };
+
+/**
+ * AsciiOutput with its grids packed into transferable typed arrays
+ *
+ * Structured-cloning `string[][]` and `CharColor[][]` copies one object per
+ * cell; packed grids are one buffer each and are transferred without copying.
+ */
+export interface PackedAsciiOutput {
+  text: string;
+  html: string;
+  css?: string;
+  metadata: AsciiMetadata;
+
+  /** Grid width in cells */
+  width: number;
+
+  /** Grid height in cells */
+  height: number;
+
+  /** One code point per cell, row by row (when every cell is a single code point) */
+  codePoints?: Uint32Array;
+
+  /** Unpacked characters, used when some cell is not a single code point */
+  characters?: string[][];
+
+  /** RGBA per cell, row by row */
+  colors?: Uint8ClampedArray;
+
+  /** RGBA per cell, row by row */
+  backgroundColors?: Uint8ClampedArray;
+
+  /** Palette index per cell, row by row */
+  paletteIndices?: Int32Array;
+
+  /** Palette index per cell, row by row */
+  backgroundPaletteIndices?: Int32Array;
+}
+
+/**
+ * Packs a color grid into RGBA bytes
+ */
+function packColors(grid: CharColor[][], width: number, height: number): Uint8ClampedArray {
+  const packed = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const row = grid[y];
+    for (let x = 0; x < width; x++) {
+      const color = row[x];
+      if (!color) continue;
+      const i = (y * width + x) * 4;
+      packed[i] = color.r;
+      packed[i + 1] = color.g;
+      packed[i + 2] = color.b;
+      packed[i + 3] = color.a;
+    }
+  }
+  return packed;
+}
+
+/**
+ * Unpacks RGBA bytes into a color grid
+ */
+function unpackColors(packed: Uint8ClampedArray, width: number, height: number): CharColor[][] {
+  const grid: CharColor[][] = new Array(height);
+  for (let y = 0; y < height; y++) {
+    const row: CharColor[] = new Array(width);
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      row[x] = { r: packed[i], g: packed[i + 1], b: packed[i + 2], a: packed[i + 3] };
+    }
+    grid[y] = row;
+  }
+  return grid;
+}
+
+/**
+ * Packs a grid of palette indices
+ */
+function packIndices(grid: number[][], width: number, height: number): Int32Array {
+  const packed = new Int32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    packed.set(grid[y], y * width);
+  }
+  return packed;
+}
+
+/**
+ * Unpacks a grid of palette indices
+ */
+function unpackIndices(packed: Int32Array, width: number, height: number): number[][] {
+  const grid: number[][] = new Array(height);
+  for (let y = 0; y < height; y++) {
+    grid[y] = Array.from(packed.subarray(y * width, (y + 1) * width));
+  }
+  return grid;
+}
+
+/**
+ * Packs the characters as code points, or returns null if the rows differ in
+ * length or a cell holds more (or less) than one code point
+ */
+function packCharacters(characters: string[][], width: number, height: number): Uint32Array | null {
+  const packed = new Uint32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const row = characters[y];
+    if (row.length !== width) {
+      return null;
+    }
+    for (let x = 0; x < width; x++) {
+      const char = row[x];
+      if (typeof char !== 'string') {
+        return null;
+      }
+      const codePoint = char.codePointAt(0);
+      if (codePoint === undefined || char.length !== (codePoint > 0xffff ? 2 : 1)) {
+        return null;
+      }
+      packed[y * width + x] = codePoint;
+    }
+  }
+  return packed;
+}
+
+/**
+ * Packs an AsciiOutput for posting to another thread
+ *
+ * @param output - Conversion result
+ * @returns Packed output and the buffers to transfer with it
+ */
+export function packAsciiOutput(output: AsciiOutput): { packed: PackedAsciiOutput; transfer: ArrayBuffer[] } {
+  const height = output.characters.length;
+  const width = height > 0 ? output.characters[0].length : 0;
+  const packed: PackedAsciiOutput = {
+    text: output.text,
+    html: output.html,
+    metadata: output.metadata,
+    width,
+    height
+  };
+  if (output.css !== undefined) {
+    packed.css = output.css;
+  }
+
+  const codePoints = packCharacters(output.characters, width, height);
+  if (codePoints) {
+    packed.codePoints = codePoints;
+  } else {
+    packed.characters = output.characters;
+  }
+  if (output.colors) {
+    packed.colors = packColors(output.colors, width, height);
+  }
+  if (output.backgroundColors) {
+    packed.backgroundColors = packColors(output.backgroundColors, width, height);
+  }
+  if (output.paletteIndices) {
+    packed.paletteIndices = packIndices(output.paletteIndices, width, height);
+  }
+  if (output.backgroundPaletteIndices) {
+    packed.backgroundPaletteIndices = packIndices(output.backgroundPaletteIndices, width, height);
+  }
+
+  const transfer = [
+    packed.codePoints,
+    packed.colors,
+    packed.backgroundColors,
+    packed.paletteIndices,
+    packed.backgroundPaletteIndices
+  ].filter((array): array is NonNullable<typeof array> => array !== undefined)
+    .map(array => array.buffer as ArrayBuffer);
+
+  return { packed, transfer };
+}
+
+/**
+ * Defines a property that is computed on first access and then cached
+ * Assigning to it replaces the cached value.
+ */
+function defineLazy<K extends keyof AsciiOutput>(
+  target: AsciiOutput,
+  key: K,
+  build: () => AsciiOutput[K]
+): void {
+  let value: AsciiOutput[K] | undefined;
+  let built = false;
+  Object.defineProperty(target, key, {
+    enumerable: true,
+    configurable: true,
+    get: () => {
+      if (!built) {
+        value = build();
+        built = true;
+      }
+      return value;
+    },
+    set: (next: AsciiOutput[K]) => {
+      value = next;
+      built = true;
+    }
+  });
+}
+
+/**
+ * Rebuilds the AsciiOutput packed by packAsciiOutput
+ *
+ * `text`, `html`, `css` and `metadata` were built in the worker and are used
+ * as they are. The grids (`characters`, `colors`, `backgroundColors` and the
+ * palette indices) are only unpacked from their buffers when first read, so
+ * displaying `html` allocates no per-cell objects on the receiving thread.
+ *
+ * @param packed - Packed output received from a worker
+ * @returns The same output convertImage returned in the worker
+ */
+export function unpackAsciiOutput(packed: PackedAsciiOutput): AsciiOutput {
+  const { width, height, codePoints } = packed;
+  const output = {
+    text: packed.text,
+    html: packed.html,
+    metadata: packed.metadata
+  } as AsciiOutput;
+  if (packed.css !== undefined) {
+    output.css = packed.css;
+  }
+
+  defineLazy(output, 'characters', () => {
+    if (!codePoints) {
+      return packed.characters ?? [];
+    }
+    const characters: string[][] = new Array(height);
+    for (let y = 0; y < height; y++) {
+      const row: string[] = new Array(width);
+      for (let x = 0; x < width; x++) {
+        row[x] = String.fromCodePoint(codePoints[y * width + x]);
+      }
+      characters[y] = row;
+    }
+    return characters;
+  });
+
+  // Grids the worker did not produce are left out, as in the worker's output
+  const { colors, backgroundColors, paletteIndices, backgroundPaletteIndices } = packed;
+  if (colors) {
+    defineLazy(output, 'colors', () => unpackColors(colors, width, height));
+  }
+  if (backgroundColors) {
+    defineLazy(output, 'backgroundColors', () => unpackColors(backgroundColors, width, height));
+  }
+  if (paletteIndices) {
+    defineLazy(output, 'paletteIndices', () => unpackIndices(paletteIndices, width, height));
+  }
+  if (backgroundPaletteIndices) {
+    defineLazy(output, 'backgroundPaletteIndices', () => unpackIndices(backgroundPaletteIndices, width, height));
+  }
+
+  return output;
+}
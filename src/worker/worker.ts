@@ -0,0 +1,72 @@
+/**
+ * Worker-side handler for AsciiWorkerPool
+ * @module worker/worker
+ */
+
+import { AsciiGenerator } from '../core/ascii-engine';
+import { isRawImageData } from '../utils/canvas-helpers';
+import type { AsciiWorkerRequest, AsciiWorkerResponse } from './protocol';
+import { packAsciiOutput } from './protocol';
+
+/**
+ * The parts of a worker's global scope used by runAsciiWorker
+ */
+export interface AsciiWorkerScope {
+  postMessage(message: AsciiWorkerResponse, transfer: Transferable[]): void;
+  addEventListener(type: 'message', listener: (event: { data: AsciiWorkerRequest }) => void): void;
+}
+
+/**
+ * Handles AsciiWorkerPool requests inside a Web Worker
+ *
+ * Call this once from the worker script. Conversion results are posted back
+ * with their grids packed into typed arrays whose buffers are transferred.
+ *
+ * @param scope - Worker global scope (defaults to the current worker's `self`)
+ *
+ * @example
+ * ```typescript
+ * // ascii-worker.ts
+ * import { runAsciiWorker } from 'ts-ascii-engine';
+ * runAsciiWorker();
+ * ```
+ */
+export function runAsciiWorker(scope: AsciiWorkerScope = globalThis as unknown as AsciiWorkerScope): void {
+  let generator: AsciiGenerator | null = null;
+
+  scope.addEventListener('message', (event) => {
+    const request = event.data;
+
+    try {
+      if (request.type === 'config') {
+        if (generator) {
+          generator.updateConfig(request.config);
+        } else {
+          generator = new AsciiGenerator(request.config);
+        }
+        scope.postMessage({ type: 'config', id: request.id }, []);
+      } else if (request.type === 'convert') {
+        generator ??= new AsciiGenerator();
+        let output;
+        try {
+          output = generator.convertImage(request.image);
+        } finally {
+          // The worker owns transferred or cloned bitmaps and frames; free them right away
+          if (!isRawImageData(request.image)) {
+            request.image.close();
+          }
+        }
+        const { packed, transfer } = packAsciiOutput(output);
+        scope.postMessage({ type: 'result', id: request.id, output: packed }, transfer);
+      } else {
+        throw new Error(`Unknown request type: ${(request as { type: unknown }).type}`);
+      }
+    } catch (error) {
+      scope.postMessage({
+        type: 'error',
+        id: request.id,
+        message: error instanceof Error ? error.message : String(error)
+      }, []);
+    }
+  });
+}
@@ -120,6 +120,15 @@ try {
   const lum = calculateLuminance(100, 150, 200);
   console.log('✓ calculateLuminance:', lum);
 
+  // Test luminance models
+  const { createLuminanceFunction } = require('../dist/index.js');
+  const lightness = createLuminanceFunction('lab');
+  if (Math.round(lightness(255, 255, 255, 255)) !== 255 || lightness(0, 0, 0, 255) !== 0) {
+    throw new Error('CIELAB L* should span 0-255');
+  }
+  console.log('✓ createLuminanceFunction(lab):', lightness(100, 150, 200, 255).toFixed(2));
+  console.log('✓ createLuminanceFunction(alpha):', createLuminanceFunction('alpha')(100, 150, 200, 64));
+
   // Test luminance to char
   const char = luminanceToChar(128, '@%#*+=-:. ', false);
   console.log('✓ luminanceToChar:', char);
@@ -132,9 +141,988 @@ try {
   process.exit(1);
 }
 
-console.log('\n' + '='.repeat(50));
-console.log('All tests passed! ✓');
-console.log('='.repeat(50));
-console.log('\nThe build is working correctly.');
-console.log('\nNote: Image/video conversion requires a browser environment');
-console.log('or Node.js with a canvas library like "canvas" or "node-canvas".');
+// Test 8: Rendering modes
+console.log('\nTest 8: Rendering modes');
+try {
+  const { dotsToBraille } = require('../dist/index.js');
+
+  const blank = dotsToBraille(0);
+  const full = dotsToBraille(0xff);
+  if (blank !== '\u2800' || full !== '\u28FF') {
+    throw new Error(`Unexpected Braille patterns: ${blank} ${full}`);
+  }
+  console.log('✓ dotsToBraille:', blank, full);
+
+  const generator = new AsciiGenerator({ mode: 'braille', threshold: 100 });
+  console.log('✓ Braille mode accepted:', generator.getConfig().mode);
+
+  generator.updateConfig({ mode: 'halfblock', colored: true });
+  console.log('✓ Half-block mode accepted:', generator.getConfig().mode);
+
+  // Synthetic raw RGBA input: pixel(x, y) returns [r, g, b]
+  const rgba = (width, height, pixel) => {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        data.set([...pixel(x, y), 255], (y * width + x) * 4);
+      }
+    }
+    return { data, width, height };
+  };
+
+  // One 2x4 Braille cell with a dark left column raises dots 1, 2, 3 and 7
+  const braille = new AsciiGenerator({ mode: 'braille', width: 1, aspectRatio: 0.5 })
+    .convertImage(rgba(2, 4, (x) => (x === 0 ? [0, 0, 0] : [255, 255, 255])));
+  const brailleChar = braille.characters[0][0];
+  if (brailleChar !== '\u2847' || !/^[\u2800-\u28FF]+$/.test(braille.text)) {
+    throw new Error(`Unexpected Braille output: ${braille.text}`);
+  }
+  console.log('✓ Braille output:', brailleChar);
+
+  // One half-block cell: red top pixel as foreground, blue bottom pixel as background
+  const halfBlock = new AsciiGenerator({ mode: 'halfblock', width: 1, aspectRatio: 1, colored: true })
+    .convertImage(rgba(2, 2, (x, y) => (y === 0 ? [255, 0, 0] : [0, 0, 255])));
+  const fg = halfBlock.colors[0][0];
+  const bg = halfBlock.backgroundColors[0][0];
+  if (halfBlock.text !== '▀' || fg.r !== 255 || fg.b !== 0 || bg.b !== 255 || bg.r !== 0) {
+    throw new Error(`Unexpected half-block output: ${halfBlock.text} ${JSON.stringify([fg, bg])}`);
+  }
+  console.log('✓ Half-block output:', halfBlock.text, 'with red over blue');
+
+  // A vertical black/white boundary is drawn with '|' in one column
+  const edges = new AsciiGenerator({ mode: 'edges', width: 8, aspectRatio: 1 })
+    .convertImage(rgba(8, 8, (x) => (x < 4 ? [0, 0, 0] : [255, 255, 255])));
+  const edgeColumns = edges.characters.map(row => row.indexOf('|'));
+  if (edges.characters.length !== 8 || !edgeColumns.every(column => column === 3) ||
+      edges.characters.some(row => row.filter(char => char === '|').length !== 1)) {
+    throw new Error(`Unexpected edge output:\n${edges.text}`);
+  }
+  console.log('✓ Edge output: vertical boundary drawn with |');
+
+  const { gradientToEdgeChar } = require('../dist/index.js');
+  const edgeChars = [[1, 0], [1, 1], [0, 1], [0, -1], [1, -1]]
+    .map(([gx, gy]) => gradientToEdgeChar(gx, gy))
+    .join('');
+  if (edgeChars !== '|/-_\\') {
+    throw new Error(`Unexpected edge characters: ${edgeChars}`);
+  }
+  console.log('✓ gradientToEdgeChar:', edgeChars);
+
+  const { matchGlyph, SHAPE_CELL_WIDTH, SHAPE_CELL_HEIGHT } = require('../dist/index.js');
+  const cellSize = SHAPE_CELL_WIDTH * SHAPE_CELL_HEIGHT;
+  const topHeavy = new Float32Array(cellSize).map((_, i) => (i < cellSize / 2 ? 1 : 0));
+  const glyphs = [
+    { char: ' ', coverage: new Float32Array(cellSize) },
+    { char: '▀', coverage: topHeavy },
+    { char: '▄', coverage: topHeavy.slice().reverse() }
+  ];
+  const matched = glyphs[matchGlyph(topHeavy.map((v) => v * 0.8), glyphs)].char;
+  if (matched !== '▀') {
+    throw new Error(`Unexpected glyph match: ${matched}`);
+  }
+  console.log('✓ matchGlyph:', matched);
+
+  try {
+    new AsciiGenerator({ mode: 'unknown' });
+    console.error('✗ Should have thrown error for unknown mode');
+    process.exit(1);
+  } catch (e) {
+    console.log('✓ Correctly rejected unknown mode');
+  }
+} catch (error) {
+  console.error('✗ Rendering mode test failed:', error.message);
+  process.exit(1);
+}
+
+// Test 9: Dithering
+console.log('\nTest 9: Dithering');
+try {
+  const { bayerMatrix, ditherLuminance } = require('../dist/index.js');
+
+  const bayer = Array.from(bayerMatrix(2)).map((v) => (v + 0.5) * 4 - 0.5);
+  if (bayer.join(',') !== '0,2,3,1') {
+    throw new Error(`Unexpected Bayer matrix: ${bayer}`);
+  }
+  console.log('✓ bayerMatrix(2):', bayer);
+
+  // A flat 50% grey on a 2-level ramp should come out half dark, half light
+  const grey = new Float32Array(64).fill(127.5);
+  const indices = ditherLuminance(grey, 8, 8, 2, 'floyd-steinberg');
+  const lightCount = indices.reduce((sum, index) => sum + index, 0);
+  if (lightCount < 28 || lightCount > 36) {
+    throw new Error(`Unexpected light cell count: ${lightCount}`);
+  }
+  console.log('✓ ditherLuminance light cells:', lightCount, '/ 64');
+
+  try {
+    new AsciiGenerator({ dither: 'random' });
+    console.error('✗ Should have thrown error for unknown dither method');
+    process.exit(1);
+  } catch (e) {
+    console.log('✓ Correctly rejected unknown dither method');
+  }
+} catch (error) {
+  console.error('✗ Dithering test failed:', error.message);
+  process.exit(1);
+}
+
+// Test 10: Preprocessing pipeline
+console.log('\nTest 10: Preprocessing pipeline');
+try {
+  const { applyPreprocessing } = require('../dist/index.js');
+
+  const data = new Uint8ClampedArray([100, 100, 100, 255, 150, 150, 150, 255]);
+  const processed = applyPreprocessing({ data, width: 2, height: 1 }, [{ type: 'levels', clip: 0 }]);
+  if (processed.data[0] !== 0 || processed.data[4] !== 255 || data[0] !== 100) {
+    throw new Error(`Unexpected levels output: ${Array.from(processed.data)}`);
+  }
+  console.log('✓ levels stretched without touching the source');
+
+  const { createPreprocessState } = require('../dist/index.js');
+  const state = createPreprocessState();
+  const frame = { data: new Uint8ClampedArray(16 * 8 * 4).fill(90), width: 16, height: 8 };
+  applyPreprocessing(frame, [{ type: 'clahe', tilesX: 4, tilesY: 2, temporalSmoothing: 0.5 }], state);
+  if (state.clahe.size !== 1) {
+    throw new Error('CLAHE mappings were not kept for the next frame');
+  }
+  console.log('✓ clahe keeps tile mappings between frames');
+
+  // Blue gradient: flat under Rec. 601 (stretched a lot), already spread under a blue-only model
+  const gradient = new Uint8ClampedArray(16 * 4 * 4);
+  for (let p = 0; p < 64; p++) {
+    gradient[p * 4 + 2] = (p % 16) * 17;
+    gradient[p * 4 + 3] = 255;
+  }
+  const claheSteps = [{ type: 'clahe', tilesX: 1, tilesY: 1, clipLimit: 100 }];
+  const largestShift = (out) => Math.max(...Array.from({ length: 64 }, (_, p) => out.data[p * 4]));
+  const rec601Shift = largestShift(applyPreprocessing({ data: gradient, width: 16, height: 4 }, claheSteps));
+  const blueShift = largestShift(applyPreprocessing({ data: gradient, width: 16, height: 4 }, claheSteps, undefined, (r, g, b) => b));
+  if (rec601Shift < 128 || blueShift > 32) {
+    throw new Error(`clahe ignored the luminance model (shifts ${rec601Shift}, ${blueShift})`);
+  }
+  console.log('✓ clahe equalizes the configured luminance model');
+
+  try {
+    new AsciiGenerator({ preprocess: [{ type: 'blur', radius: 500 }] });
+    console.error('✗ Should have thrown error for oversized blur radius');
+    process.exit(1);
+  } catch (e) {
+    console.log('✓ Correctly rejected oversized blur radius');
+  }
+} catch (error) {
+  console.error('✗ Preprocessing test failed:', error.message);
+  process.exit(1);
+}
+
+// Test 11: Charset builder validation
+console.log('\nTest 11: Charset builder validation');
+try {
+  const { buildCharset } = require('../dist/index.js');
+
+  try {
+    buildCharset('<>&a');
+    console.error('✗ Should have thrown error for too few usable candidates');
+    process.exit(1);
+  } catch (e) {
+    console.log('✓ Correctly rejected unusable candidates');
+  }
+} catch (error) {
+  console.error('✗ Charset builder test failed:', error.message);
+  process.exit(1);
+}
+
+// Test 12: Palette quantization
+console.log('\nTest 12: Palette quantization');
+try {
+  const { PALETTES, resolvePalette, createPaletteMatcher, ciede2000, AsciiGenerator } = require('../dist/index.js');
+
+  if (PALETTES.ansi16.length !== 16 || PALETTES.xterm256.length !== 256 || PALETTES.websafe.length !== 216) {
+    throw new Error('Unexpected preset palette sizes');
+  }
+  console.log('✓ Preset palettes: ansi16, xterm256, websafe');
+
+  // Reference pair from Sharma et al., expected difference 2.0425
+  const delta = ciede2000([50, 2.6772, -79.7751], [50, 0, -82.7485]);
+  if (Math.abs(delta - 2.0425) > 0.0001) {
+    throw new Error(`Unexpected CIEDE2000 difference: ${delta}`);
+  }
+  console.log(`✓ ciede2000 reference pair: ${delta.toFixed(4)}`);
+
+  const palette = resolvePalette(['#000', '#ffffff', { r: 255, g: 0, b: 0 }]);
+  const match = createPaletteMatcher(palette, 'oklab');
+  if (match(20, 10, 10) !== 0 || match(240, 240, 240) !== 1 || match(200, 30, 20) !== 2) {
+    throw new Error('Nearest palette color mismatch');
+  }
+  console.log('✓ Custom palette nearest-color matching');
+
+  try {
+    new AsciiGenerator({ palette: 'nope' });
+    console.error('✗ Should have thrown error for unknown palette');
+    process.exit(1);
+  } catch (e) {
+    console.log('✓ Correctly rejected unknown palette');
+  }
+} catch (error) {
+  console.error('✗ Palette test failed:', error.message);
+  process.exit(1);
+}
+
+// Test 13: ANSI renderer
+console.log('\nTest 13: ANSI renderer');
+try {
+  const { renderAnsi } = require('../dist/index.js');
+
+  const red = { r: 255, g: 0, b: 0, a: 255 };
+  const output = {
+    text: 'ab\ncd',
+    html: '',
+    characters: [['a', 'b'], ['c', 'd']],
+    colors: [[red, red], [red, { r: 0, g: 0, b: 255, a: 255 }]],
+    metadata: {}
+  };
+
+  const truecolor = renderAnsi(output);
+  if (truecolor !== '\u001b[38;2;255;0;0mab\u001b[0m\n\u001b[38;2;255;0;0mc\u001b[38;2;0;0;255md\u001b[0m') {
+    throw new Error(`Unexpected truecolor output: ${JSON.stringify(truecolor)}`);
+  }
+  console.log('✓ Truecolor escapes emitted only on color changes');
+
+  if (renderAnsi(output, { colorMode: '16' }).split('\n')[0] !== '\u001b[91mab\u001b[0m') {
+    throw new Error('Unexpected 16-color output');
+  }
+  console.log('✓ 16-color output');
+
+  if (renderAnsi({ ...output, colors: undefined }) !== 'ab\ncd') {
+    throw new Error('Uncolored output should be plain text');
+  }
+  console.log('✓ Uncolored output is plain text');
+} catch (error) {
+  console.error('✗ ANSI renderer test failed:', error.message);
+  process.exit(1);
+}
+
+// Test 14: SVG renderer
+console.log('\nTest 14: SVG renderer');
+try {
+  const { renderSvg } = require('../dist/index.js');
+
+  const red = { r: 255, g: 0, b: 0, a: 255 };
+  const svg = renderSvg({
+    text: '<<&',
+    html: '',
+    characters: [['<', '<', '&']],
+    colors: [[red, red, { r: 0, g: 0, b: 255, a: 255 }]],
+    metadata: {}
+  });
+
+  if (!svg.startsWith('<svg') || (svg.match(/<tspan/g) || []).length !== 2) {
+    throw new Error('Expected one tspan per color run');
+  }
+  if (svg.includes('<<') || !svg.includes('&lt;&lt;') || !svg.includes('&amp;')) {
+    throw new Error('SVG text is not escaped');
+  }
+  console.log('✓ Color runs merged and text escaped');
+} catch (error) {
+  console.error('✗ SVG renderer test failed:', error.message);
+  process.exit(1);
+}
+
+// Test 15: Raster renderer validation
+console.log('\nTest 15: Raster renderer validation');
+try {
+  const { rasterizeAscii } = require('../dist/index.js');
+
+  try {
+    rasterizeAscii({ text: 'a', html: '', characters: [['a']], metadata: {} }, { fontSize: 0 });
+    console.error('✗ Should have thrown error for invalid font size');
+    process.exit(1);
+  } catch (e) {
+    if (!e.message.includes('Font size')) throw e;
+    console.log('✓ Correctly rejected invalid font size');
+  }
+
+  // Without a DOM (e.g. in a worker) the grid is drawn on an OffscreenCanvas
+  const drawn = [];
+  globalThis.OffscreenCanvas = class {
+    constructor(width, height) {
+      this.width = width;
+      this.height = height;
+    }
+    getContext() {
+      return {
+        canvas: this,
+        fillRect() {},
+        fillText: (char) => drawn.push(char),
+        getImageData: (x, y, width, height) => ({ data: new Uint8ClampedArray(width * height * 4), width, height })
+      };
+    }
+  };
+  try {
+    const image = rasterizeAscii({ text: 'ab', html: '', characters: [['a', 'b']], metadata: {} }, { fontSize: 10 });
+    if (image.width !== 12 || image.height !== 10 || drawn.join('') !== 'ab') {
+      throw new Error(`Unexpected raster: ${image.width}x${image.height} ${drawn.join('')}`);
+    }
+    console.log('✓ Rasterized on an OffscreenCanvas without a DOM');
+  } finally {
+    delete globalThis.OffscreenCanvas;
+  }
+} catch (error) {
+  console.error('✗ Raster renderer test failed:', error.message);
+  process.exit(1);
+}
+
+// Test 16: HTML renderer
+console.log('\nTest 16: HTML renderer');
+try {
+  const { renderHtml, AsciiGenerator } = require('../dist/index.js');
+
+  const red = { r: 255, g: 0, b: 0, a: 255 };
+  const blue = { r: 0, g: 0, b: 255, a: 255 };
+  const output = {
+    characters: [['<', '<', ' ', '#']],
+    colors: [[red, red, blue, red]]
+  };
+
+  const inline = renderHtml(output);
+  if (inline.html !== '<pre style="font-family:monospace;line-height:1;white-space:pre;background:#000"><span style="color:#ff0000">&lt;&lt; #</span></pre>') {
+    throw new Error(`Unexpected inline HTML: ${inline.html}`);
+  }
+  console.log('✓ Color runs merged into one span');
+
+  const classed = renderHtml(output, { useClasses: true, classPrefix: 'art-', element: 'div' });
+  if (classed.html.includes('style=') || !classed.css.includes('.art-c0{color:#ff0000}')) {
+    throw new Error('Class mode should emit classes and a stylesheet');
+  }
+  console.log('✓ CSS class mode without inline styles');
+
+  try {
+    new AsciiGenerator({ htmlOptions: { element: 'script' } });
+    console.error('✗ Should have thrown error for invalid wrapper element');
+    process.exit(1);
+  } catch (e) {
+    console.log('✓ Correctly rejected invalid wrapper element');
+  }
+} catch (error) {
+  console.error('✗ HTML renderer test failed:', error.message);
+  process.exit(1);
+}
+
+// Test 17: Headless conversion from raw RGBA pixels
+console.log('\nTest 17: Headless conversion from raw RGBA pixels');
+try {
+  const { AsciiGenerator } = require('../dist/index.js');
+
+  // Left half black, right half white
+  const width = 8;
+  const height = 4;
+  const data = Buffer.alloc(width * height * 4, 255);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width / 2; x++) {
+      data.fill(0, (y * width + x) * 4, (y * width + x) * 4 + 3);
+    }
+  }
+
+  const result = new AsciiGenerator({ width: 4 }).convertImage({ data, width, height });
+  if (result.text.split('\n')[0] !== '@@  ') {
+    throw new Error(`Unexpected output: ${JSON.stringify(result.text)}`);
+  }
+  console.log('✓ Converted a Buffer without DOM globals');
+
+  try {
+    new AsciiGenerator().convertText('hi');
+    console.error('✗ Should have thrown error without a canvas or textRenderer');
+    process.exit(1);
+  } catch (e) {
+    if (!e.message.includes('textRenderer')) throw e;
+    console.log('✓ Clear error for text conversion without a canvas');
+  }
+} catch (error) {
+  console.error('✗ Headless conversion test failed:', error.message);
+  process.exit(1);
+}
+
+// Test 18: Built-in image decoders
+console.log('\nTest 18: Built-in image decoders');
+try {
+  const { decodeImage, inflateRaw } = require('../dist/index.js');
+  const zlib = require('zlib');
+
+  // 2x1 PNG, RGB: red then blue
+  const chunk = (type, data) => {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(data.length, 0);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, data, Buffer.alloc(4)]);
+  };
+  const ihdr = Buffer.from([0, 0, 0, 2, 0, 0, 0, 1, 8, 2, 0, 0, 0]);
+  const scanline = Buffer.from([0, 255, 0, 0, 0, 0, 255]);
+  const png = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib.deflateSync(scanline)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+  const expected = '255,0,0,255,0,0,255,255';
+
+  const decoded = decodeImage(png);
+  if (Array.from(decoded.data).join(',') !== expected) {
+    throw new Error(`Unexpected PNG pixels: ${Array.from(decoded.data)}`);
+  }
+  const builtIn = decodeImage(new Uint8Array(png).buffer, { inflate: (data) => inflateRaw(data.subarray(2)) });
+  if (Array.from(builtIn.data).join(',') !== expected) {
+    throw new Error('Built-in inflate produced different pixels');
+  }
+  console.log('✓ PNG decoded with Node.js zlib and the built-in inflate');
+
+  const ppm = decodeImage(Buffer.from('P3\n# red, blue\n2 1\n255\n255 0 0  0 0 255\n'));
+  if (Array.from(ppm.data).join(',') !== expected) {
+    throw new Error('Unexpected PPM pixels');
+  }
+  console.log('✓ Plain PPM decoded');
+
+  try {
+    decodeImage(Buffer.from('RIFF\0\0\0\0WEBPVP8 '));
+    console.error('✗ Should have thrown error for unsupported format');
+    process.exit(1);
+  } catch (e) {
+    console.log('✓ Correctly rejected unsupported format');
+  }
+} catch (error) {
+  console.error('✗ Image decoder test failed:', error.message);
+  process.exit(1);
+}
+
+// Test 19: Command-line interface
+console.log('\nTest 19: Command-line interface');
+try {
+  const { spawnSync } = require('child_process');
+  const path = require('path');
+  const cli = path.join(__dirname, '..', 'bin', 'ts-ascii.js');
+  const run = (args, input) => spawnSync(process.execPath, [cli, ...args], { input, encoding: 'utf8' });
+
+  // 4x2 greyscale image: black left half, white right half
+  const pgm = Buffer.concat([Buffer.from('P5 4 2 255\n'), Buffer.from([0, 0, 255, 255, 0, 0, 255, 255])]);
+  const converted = run(['--width', '4', '--charset', 'minimal'], pgm);
+  if (converted.status !== 0 || converted.stdout.split('\n')[0] !== '@@  ') {
+    throw new Error(`Unexpected CLI output (${converted.status}): ${converted.stdout}${converted.stderr}`);
+  }
+  console.log('✓ Converted an image from stdin');
+
+  const invalid = run(['--width', '20000'], pgm);
+  if (invalid.status !== 2 || !invalid.stderr.includes('exceeds maximum allowed')) {
+    throw new Error(`Expected exit code 2 for invalid config, got ${invalid.status}`);
+  }
+  const unsupported = run([], Buffer.from('not an image'));
+  if (unsupported.status !== 1 || !unsupported.stderr.includes('Unsupported image format')) {
+    throw new Error(`Expected exit code 1 for unsupported input, got ${unsupported.status}`);
+  }
+  console.log('✓ Exit codes for invalid config and unsupported input');
+
+  const missingText = run(['text']);
+  if (missingText.status !== 2) {
+    throw new Error(`Expected exit code 2 for text without a banner, got ${missingText.status}`);
+  }
+  const banner = run(['text', 'HI', '--font-size', '12']);
+  let hasCanvas = true;
+  try {
+    require.resolve('canvas');
+  } catch {
+    hasCanvas = false;
+  }
+  if (hasCanvas ? banner.status !== 0 || banner.stdout.trim() === '' :
+    banner.status !== 1 || !banner.stderr.includes('optional "canvas" package')) {
+    throw new Error(`Unexpected text subcommand result (${banner.status}): ${banner.stderr}`);
+  }
+  console.log(hasCanvas ? '✓ Rendered a text banner with canvas' : '✓ Text subcommand reports the missing canvas package');
+} catch (error) {
+  console.error('✗ CLI test failed:', error.message);
+  process.exit(1);
+}
+
+// Test 20: Terminal animation player (asynchronous, run in order by main() below)
+async function terminalPlayerTest() {
+  console.log('\nTest 20: Terminal animation player');
+  const { AsciiGenerator, TerminalPlayer } = require('../dist/index.js');
+
+  // 4x4 image with one black row; frames 1 and 2 are identical
+  const generator = new AsciiGenerator({ width: 4, charset: 'MINIMAL' });
+  const frame = (blackRow) => {
+    const data = new Uint8Array(4 * 4 * 4).fill(255);
+    data.fill(0, blackRow * 16, blackRow * 16 + 16);
+    return generator.convertImage({ data, width: 4, height: 4 });
+  };
+
+  const writes = [];
+  const player = new TerminalPlayer([frame(0), frame(0), frame(3)], {
+    fps: 120,
+    output: { write: (chunk) => writes.push(chunk) }
+  });
+  await player.play();
+
+  // setup, first frame, changed lines of the last frame, restore
+  if (player.frameCount !== 3 || writes.length !== 4) {
+    throw new Error(`Unexpected writes: ${JSON.stringify(writes)}`);
+  }
+  if (!writes[2].startsWith('\u001b[1;1H') || !writes[3].endsWith('\u001b[?25h')) {
+    throw new Error('Expected a partial redraw and a restored cursor');
+  }
+  console.log('✓ Unchanged frames skipped and terminal restored');
+}
+
+// Test 21: Video renderer frame loop
+console.log('\nTest 21: Video renderer frame loop');
+try {
+  const { AsciiVideoRenderer } = require('../dist/index.js');
+
+  // Drive requestAnimationFrame by hand; raw pixels stand in for the video frame
+  const callbacks = [];
+  globalThis.requestAnimationFrame = (callback) => callbacks.push(callback);
+  globalThis.cancelAnimationFrame = () => {};
+  let now = 0;
+  const tick = () => {
+    now += 1000 / 60;
+    callbacks.splice(0).forEach((callback) => callback(now));
+  };
+
+  const video = {
+    data: new Uint8Array(8 * 4 * 4), width: 8, height: 4,
+    readyState: 0, videoWidth: 0, videoHeight: 0, currentTime: 0
+  };
+  const frames = [];
+  const renderer = new AsciiVideoRenderer(video, (output) => frames.push(output.text), {
+    fps: 10,
+    config: { width: 4 }
+  });
+
+  renderer.start();
+  tick();
+  if (frames.length !== 0) {
+    throw new Error('Converted a frame before the video had data');
+  }
+  console.log('✓ Waits for video data and dimensions');
+
+  Object.assign(video, { readyState: 4, videoWidth: 8, videoHeight: 4 });
+  for (let i = 0; i < 60; i++) {
+    video.currentTime = now / 1000;
+    tick();
+  }
+  renderer.stop();
+  if (frames.length !== 10 || renderer.state !== 'idle' || callbacks.length !== 1) {
+    throw new Error(`Expected 10 frames at 10 FPS, got ${frames.length}`);
+  }
+  delete globalThis.requestAnimationFrame;
+  delete globalThis.cancelAnimationFrame;
+  console.log('✓ Throttled to the target FPS and stopped');
+} catch (error) {
+  console.error('✗ Video renderer test failed:', error.message);
+  process.exit(1);
+}
+
+// Test 22: Frame delta encoding
+console.log('\nTest 22: Frame delta encoding');
+try {
+  const { AsciiGenerator, AsciiDeltaEncoder, AsciiDeltaDecoder } = require('../dist/index.js');
+
+  // 8x2 colored image with one black pixel that moves
+  const generator = new AsciiGenerator({ width: 8, colored: true, aspectRatio: 1 });
+  const frame = (dot) => {
+    const data = new Uint8Array(8 * 2 * 4).fill(255);
+    data.fill(0, dot * 4, dot * 4 + 3);
+    return generator.convertImage({ data, width: 8, height: 2 });
+  };
+
+  const encoder = new AsciiDeltaEncoder();
+  const decoder = new AsciiDeltaDecoder();
+  const key = encoder.encode(frame(0));
+  const delta = JSON.parse(JSON.stringify(encoder.encode(frame(1))));
+  decoder.apply(key);
+  const rebuilt = decoder.apply(delta);
+
+  if (key.type !== 'key' || delta.type !== 'delta' || delta.cells.length !== 2) {
+    throw new Error(`Unexpected deltas: ${JSON.stringify(delta)}`);
+  }
+  if (rebuilt.text !== frame(1).text || rebuilt.colors[0][1].r !== 0) {
+    throw new Error('Decoder did not rebuild the frame');
+  }
+  console.log('✓ Only changed cells sent and frame rebuilt');
+
+  // A one-frame flicker is suppressed with a stability threshold
+  const stable = new AsciiDeltaEncoder({ stabilityThreshold: 2 });
+  stable.encode(frame(0));
+  const flicker = stable.encode(frame(5));
+  const settled = stable.encode(frame(0));
+  if (flicker.cells.length !== 0 || settled.cells.length !== 0) {
+    throw new Error('Single-frame flicker should not be sent');
+  }
+  console.log('✓ Stability threshold suppresses flicker');
+
+  // Cells of more than one code point keep their boundaries
+  const combining = { characters: [['e\u0301', 'a'], ['b', '\u{1F600}']] };
+  const combiningKey = JSON.parse(JSON.stringify(new AsciiDeltaEncoder().encode(combining)));
+  const combiningFrame = new AsciiDeltaDecoder().apply(combiningKey);
+  if (JSON.stringify(combiningFrame.characters) !== JSON.stringify(combining.characters) || combiningKey.rows[1].chars) {
+    throw new Error(`Multi-code-point cells not rebuilt: ${JSON.stringify(combiningKey)}`);
+  }
+  console.log('✓ Multi-code-point cells round-trip');
+} catch (error) {
+  console.error('✗ Frame delta test failed:', error.message);
+  process.exit(1);
+}
+
+// Test 23: Animated GIF decoding
+console.log('\nTest 23: Animated GIF decoding');
+try {
+  const { AsciiGenerator, decodeGif, streamGifFrames, convertGif } = require('../dist/index.js');
+
+  // LZW data for 2x2 indices, clearing the table before the code size grows
+  const lzw = (indices) => {
+    const codes = [4, indices[0], indices[1], 4, indices[2], indices[3], 5];
+    const bytes = [];
+    let bits = 0;
+    let count = 0;
+    for (const code of codes) {
+      bits |= code << count;
+      count += 3;
+      while (count >= 8) {
+        bytes.push(bits & 0xff);
+        bits >>= 8;
+        count -= 8;
+      }
+    }
+    if (count > 0) bytes.push(bits);
+    return [2, bytes.length, ...bytes, 0];
+  };
+  const frame = (delay, flags, transparent, indices) => [
+    0x21, 0xf9, 4, flags, delay, 0, transparent, 0,
+    0x2c, 0, 0, 0, 0, 2, 0, 2, 0, 0,
+    ...lzw(indices)
+  ];
+
+  // Palette: black, white, red, blue. Frame 2 is transparent except its top-right pixel
+  const gif = Buffer.from([
+    ...Buffer.from('GIF89a'), 2, 0, 2, 0, 0x81, 0, 0,
+    0, 0, 0, 255, 255, 255, 255, 0, 0, 0, 0, 255,
+    0x21, 0xff, 11, ...Buffer.from('NETSCAPE2.0'), 3, 1, 0, 0, 0,
+    ...frame(5, 0x04, 0, [1, 1, 1, 1]),
+    ...frame(0, 0x05, 0, [0, 2, 0, 0]),
+    0x3b
+  ]);
+
+  const decoded = decodeGif(gif);
+  const second = Array.from(decoded.frames[1].data.slice(0, 8)).join(',');
+  if (decoded.frames.length !== 2 || decoded.loopCount !== 0 || second !== '255,255,255,255,255,0,0,255') {
+    throw new Error(`Unexpected frames: ${second}`);
+  }
+  console.log('✓ Frames composited over the kept previous frame');
+
+  const animation = convertGif(new AsciiGenerator({ width: 2, aspectRatio: 1 }), gif);
+  const timing = animation.frames.map(f => `${f.timestamp}+${f.delay}`).join(' ');
+  if (timing !== '0+50 50+100' || animation.duration !== 150) {
+    throw new Error(`Unexpected timing: ${timing}`);
+  }
+  console.log('✓ Frames converted with delays (0 delay shown as 100 ms)');
+
+  // 400 frames of 640x421 (108M pixels in total), each a 1x1 patch: decoded and converted one at a time
+  const tinyFrame = [0x21, 0xf9, 4, 0x04, 2, 0, 0, 0, 0x2c, 0, 0, 0, 0, 1, 0, 1, 0, 0, 2, 2, 0x44, 0x01, 0];
+  const long = Buffer.from([
+    ...Buffer.from('GIF89a'), 0x80, 2, 0xa5, 1, 0x80, 0, 0,
+    0, 0, 0, 255, 255, 255,
+    ...Array.from({ length: 400 }, () => tinyFrame).flat(),
+    0x3b
+  ]);
+  const stream = streamGifFrames(long);
+  let streamed = 0;
+  for (const decodedFrame of stream) {
+    if (decodedFrame.width !== 640 || decodedFrame.height !== 421) throw new Error('Unexpected frame size');
+    streamed++;
+  }
+  const longAnimation = convertGif(new AsciiGenerator({ width: 4, height: 2 }), long);
+  if (streamed !== 400 || longAnimation.frames.length !== 400 || longAnimation.duration !== 8000) {
+    throw new Error(`Long GIF decoded ${streamed} frames, converted ${longAnimation.frames.length}`);
+  }
+  console.log('✓ Long animation streamed frame by frame, without a total pixel limit');
+
+  try {
+    decodeGif(long);
+    throw new Error('decodeGif kept more than 100M pixels');
+  } catch (e) {
+    if (!/total decoded pixels/.test(e.message)) throw e;
+  }
+  console.log('✓ decodeGif rejects animations over its total pixel limit');
+
+  // A 65535x65535 frame on a 2x2 screen must fail before its indices are allocated
+  const oversized = Buffer.from([
+    ...Buffer.from('GIF89a'), 2, 0, 2, 0, 0x80, 0, 0,
+    0, 0, 0, 255, 255, 255,
+    0x2c, 0, 0, 0, 0, 0xff, 0xff, 0xff, 0xff, 0, 2, 2, 0x44, 0x01, 0,
+    0x3b
+  ]);
+  try {
+    Array.from(streamGifFrames(oversized));
+    throw new Error('Oversized frame was decoded');
+  } catch (e) {
+    if (!/extends past the 2x2 screen/.test(e.message)) throw e;
+  }
+  console.log('✓ Frames extending past the screen rejected');
+} catch (error) {
+  console.error('✗ GIF test failed:', error.message);
+  process.exit(1);
+}
+
+// Test 24: asciicast export
+console.log('\nTest 24: asciicast export');
+try {
+  const { AsciiGenerator, renderAsciicast } = require('../dist/index.js');
+
+  const generator = new AsciiGenerator({ width: 4, aspectRatio: 1 });
+  const frame = (value) => generator.convertImage({ data: new Uint8Array(4 * 4 * 4).fill(value), width: 4, height: 4 });
+  const cast = renderAsciicast([
+    { output: frame(0), timestamp: 0, delay: 250 },
+    { output: frame(0), delay: 250 },
+    { output: frame(255), delay: 500 }
+  ], { title: 'test' });
+
+  const [header, ...events] = cast.trim().split('\n').map(line => JSON.parse(line));
+  if (header.version !== 2 || header.width !== 4 || header.height !== 4 || header.duration !== 1) {
+    throw new Error(`Unexpected header: ${JSON.stringify(header)}`);
+  }
+  const times = events.map(event => event[0]).join(',');
+  if (times !== '0,0.5,1' || !events[1][2].startsWith('\u001b[H')) {
+    throw new Error(`Unexpected events: ${JSON.stringify(events)}`);
+  }
+  console.log('✓ Header and timed events written, repeated frame merged');
+
+  try {
+    renderAsciicast([{ output: frame(0), timestamp: 100 }, { output: frame(0), timestamp: 50 }]);
+    console.error('✗ Should have thrown error for timestamps going backwards');
+    process.exit(1);
+  } catch (e) {
+    console.log('✓ Correctly rejected out-of-order timestamps');
+  }
+
+  // 30 fps capture: timestamps closer together than the 1 / fps fallback delay
+  const captured = renderAsciicast([0, 33, 66].map((time, i) => ({ output: frame(i * 100), timestamp: time })));
+  const capturedEvents = captured.trim().split('\n').slice(1).map(line => JSON.parse(line));
+  const capturedTimes = capturedEvents.map(event => event[0]).join(',');
+  if (capturedTimes !== '0,0.033,0.066,0.166') {
+    throw new Error(`Unexpected timestamp-only events: ${capturedTimes}`);
+  }
+  console.log('✓ Timestamp-only frames closer than 1 / fps accepted');
+} catch (error) {
+  console.error('✗ asciicast test failed:', error.message);
+  process.exit(1);
+}
+
+// Test 25: Worker pool (asynchronous, run in order by main() below)
+async function workerPoolTest() {
+  console.log('\nTest 25: Worker pool');
+  const { AsciiGenerator, AsciiWorkerPool, runAsciiWorker, packAsciiOutput, unpackAsciiOutput } = require('../dist/index.js');
+
+  // In-process stand-in for a Web Worker running runAsciiWorker()
+  class FakeWorker {
+    constructor() {
+      this.listeners = [];
+      this.errorListeners = [];
+      runAsciiWorker({
+        addEventListener: (type, listener) => { this.handler = listener; },
+        postMessage: (data) => setTimeout(() => this.listeners.forEach(listener => listener({ data })))
+      });
+    }
+    addEventListener(type, listener) {
+      if (type === 'message') this.listeners.push(listener);
+      if (type === 'error') this.errorListeners.push(listener);
+    }
+    postMessage(data) {
+      setTimeout(() => {
+        if (!this.crashed) this.handler({ data });
+      });
+    }
+    terminate() {}
+    crash() {
+      this.crashed = true;
+      this.errorListeners.forEach(listener => listener({ message: 'crashed' }));
+    }
+  }
+
+  const config = { width: 8, colored: true, aspectRatio: 1 };
+  const image = (value) => ({ data: new Uint8ClampedArray(8 * 4 * 4).fill(value), width: 8, height: 4 });
+  const expected = new AsciiGenerator(config).convertImage(image(64));
+
+  const pool = new AsciiWorkerPool(() => new FakeWorker(), { size: 1, config, backpressure: 'drop-oldest' });
+  const [first, dropped, latest] = await Promise.all([pool.convert(image(64)), pool.convert(image(0)), pool.convert(image(64))]);
+  if (dropped !== null || first.text !== expected.text || latest.colors[0][0].r !== expected.colors[0][0].r) {
+    throw new Error('Unexpected pool results');
+  }
+  console.log('✓ Results unpacked and stale queued frame dropped');
+
+  if (typeof Object.getOwnPropertyDescriptor(first, 'colors').get !== 'function' ||
+      first.html !== expected.html ||
+      JSON.stringify(first.characters) !== JSON.stringify(expected.characters)) {
+    throw new Error('Grids should be unpacked lazily and match the worker output');
+  }
+  console.log('✓ HTML built in the worker, grids unpacked on first access');
+
+  const keys = (output) => Object.keys(output).sort().join(',');
+  const plain = new AsciiGenerator({ width: 8 }).convertImage(image(64));
+  if (keys(first) !== keys(expected) || keys(unpackAsciiOutput(packAsciiOutput(plain).packed)) !== keys(plain)) {
+    throw new Error(`Unpacked keys differ: ${keys(first)} vs ${keys(expected)}`);
+  }
+  const ragged = { ...plain, characters: [['a', 'b'], ['c']] };
+  if (JSON.stringify(unpackAsciiOutput(packAsciiOutput(ragged).packed).characters) !== '[["a","b"],["c"]]') {
+    throw new Error('Rows of different lengths were not kept');
+  }
+  console.log('✓ Unpacked output has the same fields, ragged rows survive packing');
+
+  await pool.updateConfig({ inverted: true });
+  const inverted = await pool.convert(image(64));
+  if (inverted.text !== new AsciiGenerator({ ...config, inverted: true }).convertImage(image(64)).text) {
+    throw new Error('Config update did not reach the worker');
+  }
+  const rejected = await pool.updateConfig({ width: -1 }).then(() => false, () => true);
+  pool.terminate();
+  if (!rejected) {
+    throw new Error('Invalid config should be rejected');
+  }
+  console.log('✓ Config kept in sync and validated');
+
+  const workers = [];
+  const failing = new AsciiWorkerPool(() => {
+    const worker = new FakeWorker();
+    workers.push(worker);
+    return worker;
+  }, { size: 2 });
+  const requests = [1, 2, 3].map(() => failing.convert(image(64)).then(() => false, () => true));
+  workers.forEach(worker => worker.crash());
+  const settled = await Promise.all(requests);
+  const laterRejected = await failing.convert(image(64)).then(() => false, (e) => /no workers/.test(e.message));
+  if (!settled.every(Boolean) || !laterRejected || failing.size !== 0) {
+    throw new Error('Requests should be rejected once every worker has failed');
+  }
+  console.log('✓ Running, queued and later requests rejected once every worker failed');
+}
+
+// Test 26: Bitmap and video frame sources without a DOM
+console.log('\nTest 26: Bitmap and video frame sources without a DOM');
+try {
+  const { AsciiGenerator } = require('../dist/index.js');
+
+  // Minimal stand-ins for what a worker provides
+  const draws = [];
+  globalThis.OffscreenCanvas = class {
+    constructor(width, height) {
+      this.width = width;
+      this.height = height;
+    }
+    getContext() {
+      const canvas = this;
+      return {
+        canvas,
+        drawImage: (source, x, y, width, height) => draws.push({ source, width, height }),
+        getImageData: (x, y, width, height) => ({ data: new Uint8ClampedArray(width * height * 4).fill(255), width, height })
+      };
+    }
+  };
+  globalThis.VideoFrame = class {
+    constructor() {
+      this.codedWidth = 16;
+      this.codedHeight = 8;
+      this.displayWidth = 8;
+      this.displayHeight = 4;
+    }
+  };
+  globalThis.ImageBitmap = class {
+    constructor() {
+      this.width = 0;
+      this.height = 0;
+    }
+  };
+
+  try {
+    const generator = new AsciiGenerator({ width: 4, aspectRatio: 1 });
+    const frame = new VideoFrame();
+    const output = generator.convertImage(frame);
+    if (draws[0].source !== frame || draws[0].width !== 8 || draws[0].height !== 4 || output.metadata.width !== 4) {
+      throw new Error(`Unexpected draw: ${JSON.stringify(draws)}`);
+    }
+    console.log('✓ VideoFrame drawn at its display size on an OffscreenCanvas');
+
+    try {
+      generator.convertImage(new ImageBitmap());
+      console.error('✗ Should have thrown error for a closed bitmap');
+      process.exit(1);
+    } catch (e) {
+      console.log('✓ Correctly rejected a closed (0x0) ImageBitmap');
+    }
+  } finally {
+    delete globalThis.OffscreenCanvas;
+    delete globalThis.VideoFrame;
+    delete globalThis.ImageBitmap;
+  }
+} catch (error) {
+  console.error('✗ Bitmap/frame source test failed:', error.message);
+  process.exit(1);
+}
+
+// Test 27: Asynchronous, abortable conversion (asynchronous, run in order by main() below)
+async function asyncConvertTest() {
+  console.log('\nTest 27: Asynchronous, abortable conversion');
+  const { AsciiGenerator } = require('../dist/index.js');
+
+  const width = 300;
+  const height = 200;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = (i * 7919) % 256;
+  }
+  const image = { data, width, height };
+  const generator = new AsciiGenerator({ width, colored: true, htmlOptions: { useClasses: true } });
+
+  const expected = generator.convertImage(image);
+  const pending = generator.convertImageAsync(image);
+  // None of these may affect the conversion already started
+  generator.updateConfig({ width: 10, charset: '#. ', inverted: true, htmlOptions: { useClasses: false } });
+  const actual = await pending;
+  for (const key of ['text', 'html', 'css']) {
+    if (actual[key] !== expected[key]) {
+      throw new Error(`Async ${key} differs from convertImage()`);
+    }
+  }
+  if (JSON.stringify(actual.colors) !== JSON.stringify(expected.colors)) {
+    throw new Error('Async colors differ from convertImage()');
+  }
+  console.log('✓ Same output as convertImage(), config read at the start');
+
+  const controller = new AbortController();
+  controller.abort();
+  const error = await generator.convertImageAsync(image, { signal: controller.signal }).then(() => null, e => e);
+  if (!error || error.name !== 'AbortError') {
+    throw new Error('Aborted conversion should reject with AbortError');
+  }
+  console.log('✓ Rejected with the signal\'s AbortError');
+}
+
+// Async tests run one after another, so each one's output follows its header
+async function main() {
+  const asyncTests = [
+    ['Terminal player', terminalPlayerTest],
+    ['Worker pool', workerPoolTest],
+    ['Async conversion', asyncConvertTest]
+  ];
+  for (const [name, test] of asyncTests) {
+    try {
+      await test();
+    } catch (error) {
+      console.error(`✗ ${name} test failed:`, error.message);
+      process.exit(1);
+    }
+  }
+
+  console.log('\n' + '='.repeat(50));
+  console.log('All tests passed! ✓');
+  console.log('='.repeat(50));
+  console.log('\nThe build is working correctly.');
+  console.log('\nNote: Image/video element conversion requires a browser environment;');
+  console.log('in Node.js, pass raw { data, width, height } RGBA pixels instead.');
+}
+
+main();